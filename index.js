@@ -4,32 +4,136 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const http = require("http");
 const socketIo = require("socket.io");
 const cors = require("cors");
 const { instrument } = require("@socket.io/admin-ui");
 
 const authenticate = require("./middleware/auth");
+const { verifyAccessToken } = require("./middleware/auth");
+const rateLimit = require("./middleware/rateLimit");
+const socketAuth = require("./middleware/socketAuth");
+const { shareLinkAuth } = require("./middleware/socketAuth");
+const validateRequest = require("./middleware/validate");
+const onEvent = require("./middleware/socketEvent");
+const {
+  asyncHandler,
+  notFoundHandler,
+  errorHandler,
+} = require("./middleware/errorHandler");
+const hospitalRoutes = require("./routes/hospital");
+const createAdminRouter = require("./routes/admin");
+const analyticsRoutes = require("./routes/analytics");
+const authRoutes = require("./routes/auth");
+const driverRoutes = require("./routes/driver");
+const operatorRoutes = require("./routes/operator");
+const profileRoutes = require("./routes/profile");
+const trackingRoutes = require("./routes/tracking");
+const createIncidentRouter = require("./routes/incidents");
+const bookingRoutes = require("./routes/bookings");
+const { createDispatcher, vehicleRoom } = require("./services/dispatch");
+const {
+  findNearbyAmbulances,
+  formatAmbulanceLocation,
+  describeAmbulance,
+  ON_DUTY_STATUSES,
+} = require("./services/ambulanceSearch");
+const {
+  transitionRequest,
+  claimRequest,
+  reassignRequest,
+  abandonRequest,
+  recordDecline,
+  ACTIVE_STATUSES,
+} = require("./services/requestLifecycle");
+const realtime = require("./services/realtime");
+const {
+  createStateStore,
+  useSharedAdapter,
+  collection,
+} = require("./services/stateStore");
+const { findTrack, sendTrack } = require("./services/locationHistory");
+const { createLocationCache, inViewport } = require("./services/locationCache");
+const {
+  createPresenceReaper,
+  touchAmbulance,
+  HEARTBEAT_INTERVAL_MS,
+  RECONNECT_GRACE_MS,
+} = require("./services/presence");
+const { createSession } = require("./services/sessions");
+const { eta, createTripEtas } = require("./services/eta");
+const { notifyRequester, createDeliveryRetrier } = require("./services/notifications");
+const { registerAmbulance, isVerified } = require("./services/driverOnboarding");
+const { trackingSnapshot } = require("./services/shareLinks");
+const { assessTriage, patientDetails } = require("./services/triage");
+const { audit, actorOf, SYSTEM_ACTOR } = require("./services/audit");
+const { currentAmbulanceFor } = require("./services/shifts");
+const {
+  createIncidents,
+  formatIncident,
+  incidentCrewsAmong,
+} = require("./services/incidents");
+const {
+  createBookingScheduler,
+  upcomingBookings,
+  formatBooking,
+} = require("./services/bookings");
+const {
+  lockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require("./services/accountSecurity");
+const {
+  requestRoom,
+  emitToRequest,
+  incidentRoom,
+  emitToIncident,
+  hospitalRoom,
+  emitToHospital,
+} = realtime;
+const { toPoint, fromPoint } = require("./utils/geo");
+const {
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  tooManyRequests,
+} = require("./utils/errors");
+const accountSchemas = require("./schemas/account");
+const emergencySchemas = require("./schemas/emergency");
+const driverSchemas = require("./schemas/driver");
+const incidentSchemas = require("./schemas/incident");
+const bookingSchemas = require("./schemas/booking");
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: { origin: ["*", "https://admin.socket.io"] },
 });
-instrument(io, {
-  auth: false,
-  mode: "development",
-});
+useSharedAdapter(io); // Only when REDIS_URL is set
+// Admin UI only runs with credentials configured
+if (process.env.ADMIN_UI_USERNAME && process.env.ADMIN_UI_PASSWORD) {
+  instrument(io, {
+    auth: {
+      type: "basic",
+      username: process.env.ADMIN_UI_USERNAME,
+      password: bcrypt.hashSync(process.env.ADMIN_UI_PASSWORD, 10),
+    },
+    mode: process.env.NODE_ENV === "production" ? "production" : "development",
+  });
+} else {
+  console.log("ℹ️ Socket.IO admin UI disabled (set ADMIN_UI_USERNAME and ADMIN_UI_PASSWORD)");
+}
 
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET;
 
 // Models
 
 const User = require("./models/User");
 const Ambulance = require("./models/Ambulance");
 const EmergencyRequest = require("./models/Emergency");
+const Hospital = require("./models/Hospital");
 
 // Middleware
 app.use(express.json());
@@ -44,235 +148,766 @@ mongoose
   .then(() => console.log("MongoDB connected"))
   .catch((err) => console.error("MongoDB connection error:", err));
 
-// Store ambulance locations and socket mappings
-const onlineAmbulances = {};
-const userSocketMap = {};
-
 const driverIo = io.of("/driver");
 const clientIo = io.of("/client");
+const hospitalIo = io.of("/hospital");
+const trackIo = io.of("/track");
+realtime.init({ driverIo, clientIo, hospitalIo, trackIo });
+
+// Only drivers may join /driver; requesters (and admins watching the map) /client
+driverIo.use(socketAuth(["ambulance"]));
+clientIo.use(socketAuth(["client", "admin"]));
+hospitalIo.use(socketAuth(["hospital"]));
+// Anyone holding a share link may follow that one request on /track
+trackIo.use(shareLinkAuth);
+
+// Dispatch state lives in a store shared by all server instances (in-memory
+// when running a single instance). All access is async.
+const stateStore = createStateStore();
+const activeDrivers = collection(stateStore, "activeDrivers"); // vehicleId -> { vehicleId, socketId }
+const activeTrips = collection(stateStore, "activeTrips"); // vehicleId -> { requestId, patientLocation, hospitalId, hospitalLocation } for accepted requests
+const incidentCrews = collection(stateStore, "incidentCrews"); // vehicleId -> incidentId of the incident unit it works
+const tripEtas = createTripEtas({ eta });
+
+// Where an ambulance on a trip is heading: the patient until they are on
+// board, then the selected hospital
+const tripDestination = (trip) => {
+  if (trip.patientLocation) return { target: "patient", to: trip.patientLocation };
+  if (trip.hospitalLocation) return { target: "hospital", to: trip.hospitalLocation };
+  return null;
+};
+
+// Refresh the ETA of an ambulance on a trip and push it to the request room
+// (and the receiving hospital) when it was recalculated
+const updateTripEta = async (vehicleId, trip, position) => {
+  const destination = tripDestination(trip);
+  if (!destination) return null;
+
+  const { estimate, changed } = await tripEtas.update(vehicleId, {
+    requestId: trip.requestId,
+    from: position,
+    ...destination,
+  });
+  if (changed) {
+    const payload = {
+      requestId: trip.requestId,
+      vehicleId,
+      target: estimate.target,
+      etaMinutes: estimate.etaMinutes,
+      distanceKm: Number(estimate.distanceKm.toFixed(2)),
+      source: estimate.source,
+    };
+    emitToRequest(trip.requestId, "eta-updated", payload);
+    if (estimate.target === "hospital" && trip.hospitalId) {
+      emitToHospital(trip.hospitalId, "eta-updated", payload);
+    }
+  }
+  return estimate;
+};
+
+// Push a batch of position changes to the request and incident rooms
+// following those ambulances and to clients whose map viewport contains them
+const broadcastLocations = async (changes) => {
+  for (const { vehicleId, latitude, longitude } of changes) {
+    const incidentId = await incidentCrews.get(vehicleId);
+    if (incidentId) {
+      emitToIncident(incidentId, "driver-location", { incidentId, vehicleId, latitude, longitude });
+    }
 
-const activeDrivers = new Map(); // Store active drivers (socket.id -> vehicleId)
-const pendingRequests = new Map();
+    const trip = await activeTrips.get(vehicleId);
+    if (!trip) {
+      tripEtas.forget(vehicleId);
+      continue;
+    }
 
-driverIo.on("connection", (socket) => {
-  console.log(`\x1b[32m${socket.id} User connected\x1b[0m`);
+    const estimate = await updateTripEta(vehicleId, trip, { latitude, longitude });
+    emitToRequest(trip.requestId, "driver-location", {
+      requestId: trip.requestId,
+      vehicleId,
+      latitude,
+      longitude,
+      etaMinutes: estimate?.etaMinutes ?? null,
+      etaTarget: estimate?.target ?? null,
+    });
+  }
 
-  socket.on("update-status", async ({ vehicleId, status }) => {
-    console.log(`🚑 Driver status of ${socket.id} updated to ${status}`);
+  const sockets = await clientIo.fetchSockets();
+  for (const socket of sockets) {
+    if (!socket.data.viewport) continue;
+
+    const visible = changes
+      .filter((change) => inViewport(socket.data.viewport, change))
+      .map(({ vehicleId, latitude, longitude, recordedAt }) => ({
+        vehicleId,
+        latitude,
+        longitude,
+        recordedAt,
+      }));
+    if (visible.length) socket.emit("ambulance-locations", { ambulances: visible });
+  }
+};
 
-    try {
-      let updateFields = {
-        status,
-        "currentLocation.lastUpdated": new Date(),
-      };
+const locationCache = createLocationCache({ onBroadcast: broadcastLocations });
+locationCache.start();
 
-      // Disable discount and remove ambulance when offline
-      if (status === "offline" || status === "at_hospital") {
-        updateFields.discount = false;
-      }
+const deliveryRetrier = createDeliveryRetrier();
+deliveryRetrier.start();
 
-      const updatedAmbulance = await Ambulance.findOneAndUpdate(
-        { vehicleId },
-        updateFields,
-        { new: true }
-      );
+// Planned transports: recurring bookings, reminders and conversion into
+// requests at pickup time
+const bookingScheduler = createBookingScheduler({
+  onDue: (request, booking) => startBookedTrip(request, booking),
+});
+bookingScheduler.start();
+
+// Ambulances whose app died without disconnecting cleanly are taken off duty.
+// Crews on a trip keep it; the requester is told they cannot be reached.
+const presenceReaper = createPresenceReaper({
+  onStale: async (vehicleId) => {
+    console.log(`🚑 Ambulance ${vehicleId} set to offline, no heartbeat or location`);
+    auditAmbulanceStatus(SYSTEM_ACTOR, vehicleId, null, "offline", "no heartbeat or location");
+    await removeFromMap(vehicleId);
+  },
+  onUnreachable: async (vehicleId) => {
+    const incidentId = await incidentCrews.get(vehicleId);
+    if (incidentId) emitToIncident(incidentId, "driver-unreachable", { incidentId, vehicleId });
+
+    const trip = await activeTrips.get(vehicleId);
+    if (!trip) return;
+
+    console.log(`🚨 Crew ${vehicleId} unreachable during request ${trip.requestId}`);
+    clientIo
+      .to(requestRoom(trip.requestId))
+      .emit("driver-unreachable", { requestId: trip.requestId, vehicleId });
+  },
+  unreachable: collection(stateStore, "unreachableCrews"),
+});
+presenceReaper.start();
+
+// Offers new requests to the nearest suitable ambulance first. If every
+// candidate declines or times out, fall back to broadcasting to all drivers.
+const dispatchOffers = collection(stateStore, "dispatchOffers"); // requestId -> vehicleId holding the offer
+const dispatcher = createDispatcher({
+  driverIo,
+  offerHolders: dispatchOffers,
+  onExhausted: (request) => {
+    driverIo.emit("new-emergency-request", {
+      requestId: request._id,
+      location: fromPoint(request.location),
+      ...patientDetails(request),
+      createdAt: request.createdAt,
+    });
+  },
+});
 
-      if (updatedAmbulance) {
-        console.log(`✅ Ambulance ${vehicleId} status updated to ${status}`);
-
-        if (status == false) clientIo.emit("remove-ambulance", { vehicleId });
-        if (status === "offline" || status === "at_hospital") {
-          console.log(
-            `🛑 Removing ambulance ${vehicleId} from activeDrivers and notifying clients`
-          );
-          activeDrivers.delete(socket.id);
-        } else {
-          activeDrivers.set(socket.id, {
-            vehicleId,
-            latitude: null,
-            longitude: null,
-          }); // Keep tracking active
-        }
-      } else {
-        console.log(`🚨 No ambulance found with vehicleId: ${vehicleId}`);
-      }
-    } catch (error) {
-      console.error("❌ Error updating ambulance status:", error);
+// Mass-casualty incidents, with their crews kept in the shared state store
+const incidents = createIncidents({ driverIo, clientIo, crews: incidentCrews });
+
+// Authenticated identity of a socket, used to record who changed a request
+const socketActor = (socket) => {
+  const { userId, userType, vehicleId } = socket.data.user;
+  return {
+    userId,
+    role: userType,
+    vehicleId,
+    socketId: socket.id,
+    ip: socket.handshake.address,
+  };
+};
+
+// Ambulance status changes made outside a request's lifecycle
+const auditAmbulanceStatus = (actor, vehicleId, from, to, reason) =>
+  audit({
+    actor,
+    action: "ambulance.status_changed",
+    entityType: "Ambulance",
+    entityId: vehicleId,
+    before: from ? { status: from } : undefined,
+    after: { status: to },
+    reason,
+  });
+
+// Join the crew to the request room, start tracking the trip and tell the
+// requester (on the socket and by notification) who is coming and roughly when
+const announceAssignment = async (request, patientLocation, { reassigned = false } = {}) => {
+  const requestId = request._id.toString();
+  const vehicleId = request.ambulanceId;
+  const roomId = requestRoom(requestId);
+  driverIo.in(vehicleRoom(vehicleId)).socketsJoin(roomId);
+  await activeTrips.set(vehicleId, { requestId, patientLocation });
+
+  const ambulance = await describeAmbulance(vehicleId);
+  const estimate = ambulance?.currentLocation
+    ? await eta.estimate(ambulance.currentLocation, patientLocation)
+    : null;
+  clientIo.to(roomId).emit("request-accepted", {
+    requestId,
+    ambulance,
+    etaMinutes: estimate?.etaMinutes ?? null,
+  });
+
+  notifyRequester(request, {
+    template: reassigned ? "request_reassigned" : "request_accepted",
+    etaMinutes: estimate?.etaMinutes,
+  }).catch((error) => console.error("❌ Error notifying requester:", error));
+
+  // The crew of an escalated request fills its unit on the incident
+  await incidents.syncRequestUnit(request);
+};
+
+// Manually assign a pending request, or move an accepted one to another
+// ambulance (used by dispatch supervisors, and by crews handing over their
+// own request)
+const assignAmbulance = async (requestId, vehicleId, actor, { reason } = {}) => {
+  const ambulance = await Ambulance.findOne({ vehicleId }).lean();
+  if (!ambulance) throw notFound("Ambulance not found");
+  if (ambulance.status !== "available") {
+    throw conflict(`Ambulance ${vehicleId} is ${ambulance.status}`, "ambulance_unavailable");
+  }
+
+  const existing = await EmergencyRequest.findById(requestId).lean();
+  if (!existing) throw notFound("Emergency request not found");
+
+  let request;
+  if (existing.status === "pending") {
+    request = await claimRequest(requestId, vehicleId, actor);
+    await dispatcher.stop(requestId);
+    driverIo.emit("request-removed", requestId);
+  } else {
+    const result = await reassignRequest(requestId, vehicleId, actor, { reason });
+    request = result.request;
+
+    if (result.previousVehicleId) {
+      await activeTrips.delete(result.previousVehicleId);
+      driverIo
+        .in(vehicleRoom(result.previousVehicleId))
+        .socketsLeave(requestRoom(requestId));
+      driverIo
+        .to(vehicleRoom(result.previousVehicleId))
+        .emit("request-reassigned", { requestId, vehicleId });
     }
+  }
+
+  const patientLocation = fromPoint(existing.location);
+  driverIo.to(vehicleRoom(vehicleId)).emit("request-assigned", {
+    requestId,
+    location: patientLocation,
+    ...patientDetails(existing),
+  });
+  await announceAssignment(request, patientLocation, {
+    reassigned: existing.status !== "pending",
   });
 
-  socket.on("location-update", async ({ vehicleId, latitude, longitude }) => {
-    console.log(
-      `📍 Location update for ${vehicleId}: (${latitude}, ${longitude})`
-    );
+  return request;
+};
+
+// The crew gave a request back: stop following their trip and dispatch the
+// request again, without offering it to them
+const requeueRequest = async (requestId, actor, reason) => {
+  const { request, previousVehicleId } = await abandonRequest(requestId, actor, reason);
+
+  await activeTrips.delete(previousVehicleId);
+  tripEtas.forget(previousVehicleId);
+  driverIo.in(vehicleRoom(previousVehicleId)).socketsLeave(requestRoom(requestId));
+  clientIo
+    .to(requestRoom(requestId))
+    .emit("request-requeued", { requestId, vehicleId: previousVehicleId });
+
+  await dispatcher.dispatch(request.toObject(), { exclude: [previousVehicleId] });
+  await incidents.syncRequestUnit(request);
+  return request;
+};
+
+// A booked transport became a request shortly before pickup. It goes to the
+// pre-assigned crew like a manual assignment, otherwise (or when that crew
+// cannot take it) it is dispatched like any other request.
+const startBookedTrip = async (request, booking) => {
+  const requestId = request._id.toString();
+
+  // The requester follows the trip like one they called in
+  const sockets = await clientIo.fetchSockets();
+  sockets
+    .filter((socket) => socket.data.user.userId?.toString() === booking.requesterId.toString())
+    .forEach((socket) => {
+      socket.join(requestRoom(requestId));
+      socket.emit("request-created", { requestId, bookingId: booking._id });
+    });
 
+  if (booking.vehicleId) {
     try {
-      await Ambulance.findOneAndUpdate(
-        { vehicleId },
-        {
-          "currentLocation.latitude": latitude,
-          "currentLocation.longitude": longitude,
-          "currentLocation.lastUpdated": new Date(),
-        }
-      );
-      console.log(`✅ Location updated for ${vehicleId}`);
-
-      // Broadcast location update to all connected clients
-      clientIo.emit("ambulance-location", { vehicleId, latitude, longitude });
+      await assignAmbulance(requestId, booking.vehicleId, SYSTEM_ACTOR);
+      return;
     } catch (error) {
-      console.error("❌ Error updating location:", error);
+      console.log(`📅 ${booking.vehicleId} cannot take request ${requestId}:`, error.message);
     }
+  }
+
+  await dispatcher.dispatch(request.toObject());
+};
+
+// Stop tracking an ambulance that went off duty and take it off every map
+const removeFromMap = async (vehicleId) => {
+  await activeDrivers.delete(vehicleId);
+  locationCache.forget(vehicleId);
+  clientIo.emit("remove-ambulance", { vehicleId });
+};
+
+// Take an ambulance off the map regardless of what its driver app reports
+const forceAmbulanceOffline = async (vehicleId, actor) => {
+  const previous = await Ambulance.findOneAndUpdate({ vehicleId }, { status: "offline" }).lean();
+  if (!previous) return null;
+  auditAmbulanceStatus(actor, vehicleId, previous.status, "offline", "forced offline");
+
+  driverIo.to(vehicleRoom(vehicleId)).emit("forced-offline", { vehicleId });
+  driverIo.in(vehicleRoom(vehicleId)).socketsLeave(vehicleRoom(vehicleId));
+  await removeFromMap(vehicleId);
+
+  console.log(`🛑 Ambulance ${vehicleId} forced offline`);
+  return { ...previous, status: "offline" };
+};
+
+// Cancel a request on behalf of the requester (or an admin), stop dispatching
+// it and free the assigned crew, if any
+const cancelRequest = async (requestId, actor, reason) => {
+  const request = await transitionRequest(requestId, "cancelled", actor, {
+    cancellationReason: reason,
   });
 
-  socket.on("get-pending-requests", async () => {
-    try {
-      // Get all pending requests from database
-      const pendingRequestsdb = await EmergencyRequest.find({
-        status: "pending",
-      })
-        .populate("requesterId", "name phone")
+  await dispatcher.stop(requestId);
+  driverIo.emit("request-removed", requestId);
+
+  const payload = {
+    requestId,
+    cancelledBy: actor.role,
+    reason,
+    cancelledAt: request.cancelledAt,
+  };
+  if (request.ambulanceId) {
+    await activeTrips.delete(request.ambulanceId);
+    // The crew may not be in the request room, e.g. after reconnecting
+    driverIo
+      .to([requestRoom(requestId), vehicleRoom(request.ambulanceId)])
+      .emit("request-cancelled", payload);
+  }
+  clientIo.to(requestRoom(requestId)).emit("request-cancelled", payload);
+  await incidents.syncRequestUnit(request);
+
+  return request;
+};
+
+// Put a (re)connecting driver back where their previous connection left off:
+// on duty if they were, and in the rooms of the trip or incident they are on
+const resumeDriver = async (socket) => {
+  const { vehicleId } = socket.data.user;
+  await touchAmbulance(vehicleId);
+  socket.emit("heartbeat-config", { intervalMs: HEARTBEAT_INTERVAL_MS });
+
+  const previous = await activeDrivers.get(vehicleId);
+  if (previous) {
+    await activeDrivers.set(vehicleId, { vehicleId, socketId: socket.id });
+    socket.join(vehicleRoom(vehicleId));
+  }
+
+  const trip = await activeTrips.get(vehicleId);
+  if (trip) {
+    socket.join(requestRoom(trip.requestId));
+    socket.emit("trip-resumed", trip);
+    if (previous?.disconnectedAt) {
+      clientIo
+        .to(requestRoom(trip.requestId))
+        .emit("driver-reconnected", { requestId: trip.requestId, vehicleId });
+    }
+  }
+
+  const incidentId = await incidentCrews.get(vehicleId);
+  if (incidentId) {
+    socket.join(incidentRoom(incidentId));
+    socket.emit("incident-resumed", formatIncident(await incidents.findIncident(incidentId)));
+  }
+};
+
+// A driver that did not reconnect within the grace period goes off duty,
+// unless they were given a trip or incident unit in the meantime
+const endReconnectGrace = async (vehicleId, disconnectedAt) => {
+  const driverData = await activeDrivers.get(vehicleId);
+  if (driverData?.disconnectedAt !== disconnectedAt) return; // reconnected
+  if (await activeTrips.get(vehicleId)) return;
+  if (await incidentCrews.get(vehicleId)) return;
+
+  const previous = await Ambulance.findOneAndUpdate(
+    { vehicleId, status: { $ne: "offline" } },
+    { status: "offline" }
+  ).lean();
+  await removeFromMap(vehicleId);
+  if (previous) {
+    auditAmbulanceStatus(SYSTEM_ACTOR, vehicleId, previous.status, "offline", "disconnected");
+    console.log(`🚑 Ambulance ${vehicleId} set to offline after disconnecting`);
+  }
+};
+
+driverIo.on("connection", (socket) => {
+  console.log(`\x1b[32m${socket.id} User connected\x1b[0m`);
+
+  // Drivers always act for their own ambulance, never one named in a payload
+  const { vehicleId } = socket.data.user;
+
+  resumeDriver(socket).catch((error) =>
+    console.error(`❌ Error resuming driver ${vehicleId}:`, error)
+  );
+
+  // Driver apps send this every HEARTBEAT_INTERVAL_MS, even when not moving
+  onEvent(socket, "heartbeat", null, async () => {
+    await touchAmbulance(vehicleId);
+    socket.emit("heartbeat-ack", { serverTime: Date.now() });
+  });
+
+  onEvent(socket, "update-status", driverSchemas.updateStatus, async ({ status }) => {
+    console.log(`🚑 Driver status of ${socket.id} updated to ${status}`);
+
+    // While on a job the status follows the request or incident unit. The
+    // only manual change is reporting arrival at the hospital with a patient.
+    const [request, incidentCrew] = await Promise.all([
+      EmergencyRequest.findOne({ ambulanceId: vehicleId, status: { $in: ACTIVE_STATUSES } })
+        .select("status")
+        .lean(),
+      incidentCrewsAmong([vehicleId]),
+    ]);
+    if (incidentCrew.length) {
+      throw conflict("Your status follows your incident unit", "ambulance_busy");
+    }
+    if (request && !(status === "at_hospital" && request.status === "in_progress")) {
+      throw conflict("Your status follows your active request", "ambulance_busy");
+    }
+
+    // Unverified ambulances may connect but not go on duty
+    if (status !== "offline") {
+      const ambulance = await Ambulance.findOne({ vehicleId })
+        .select("verificationStatus")
         .lean();
+      if (ambulance && !isVerified(ambulance)) {
+        throw forbidden("Your ambulance has not been verified yet", "not_verified");
+      }
+    }
 
-      // Convert to GeoJSON format for easier mapping
-      const formattedRequests = pendingRequestsdb.map((request) => ({
-        _id: request._id.toString(),
-        location: request.location,
-        emergencyDetails: request.emergencyDetails,
-        patientCount: request.patientCount,
-        criticalLevel: request.criticalLevel,
-        createdAt: request.createdAt,
-        requester: request.requesterId,
-      }));
+    let updateFields = {
+      status,
+    };
+
+    // Disable discount and remove ambulance when offline
+    if (status === "offline" || status === "at_hospital") {
+      updateFields.discount = false;
+    }
+
+    const previous = await Ambulance.findOneAndUpdate({ vehicleId }, updateFields).lean();
 
-      // Add to pendingRequests map
-      formattedRequests.forEach((request) => {
-        pendingRequests.set(request._id, {
-          ...request,
-          socketId: socket.id, // Store driver's socket ID
+    if (!previous) throw notFound(`No ambulance found with vehicleId: ${vehicleId}`);
+    auditAmbulanceStatus(socketActor(socket), vehicleId, previous.status, status);
+    console.log(`✅ Ambulance ${vehicleId} status updated to ${status}`);
+
+    if (status == false) clientIo.emit("remove-ambulance", { vehicleId });
+    if (status === "offline" || status === "at_hospital") {
+      console.log(
+        `🛑 Removing ambulance ${vehicleId} from activeDrivers and notifying clients`
+      );
+      await activeDrivers.delete(vehicleId);
+      socket.leave(vehicleRoom(vehicleId));
+      if (status === "offline") locationCache.forget(vehicleId);
+
+      // Tell the receiving hospital the patient is at the door
+      const trip = await activeTrips.get(vehicleId);
+      if (status === "at_hospital" && trip?.hospitalId) {
+        emitToHospital(trip.hospitalId, "patient-arrived", {
+          requestId: trip.requestId,
+          vehicleId,
         });
-      });
+      }
+    } else {
+      socket.join(vehicleRoom(vehicleId)); // Receives dispatch offers
+      await activeDrivers.set(vehicleId, {
+        vehicleId,
+        socketId: socket.id,
+      }); // Keep tracking active
+    }
+  });
 
-      // Send to requesting driver
-      socket.emit("pending-requests", formattedRequests);
+  onEvent(
+    socket,
+    "location-update",
+    driverSchemas.locationUpdate,
+    async ({ latitude, longitude, timestamp }) => {
       console.log(
-        `📋 Sent ${formattedRequests.length} pending requests to driver ${socket.id}`
+        `📍 Location update for ${vehicleId}: (${latitude}, ${longitude})`
       );
-    } catch (error) {
-      console.error("Error fetching pending requests:", error);
-      socket.emit("request-error", "Failed to fetch pending requests");
+
+      // Buffered: saved to MongoDB and broadcast in batches
+      const result = locationCache.update(vehicleId, {
+        latitude,
+        longitude,
+        timestamp,
+        requestId: (await activeTrips.get(vehicleId))?.requestId,
+      });
+      if (!result.accepted) throw badRequest(result.reason, "location_rejected");
     }
+  );
+
+  onEvent(socket, "get-pending-requests", null, async () => {
+    // Get all pending requests from database
+    const pendingRequestsdb = await EmergencyRequest.find({
+      status: "pending",
+    })
+      .populate("requesterId", "name phone")
+      .lean();
+
+    // Convert to GeoJSON format for easier mapping
+    const formattedRequests = pendingRequestsdb.map((request) => ({
+      _id: request._id.toString(),
+      location: fromPoint(request.location),
+      ...patientDetails(request),
+      createdAt: request.createdAt,
+      requester: request.requesterId,
+    }));
+
+    // Send to requesting driver
+    socket.emit("pending-requests", formattedRequests);
+    console.log(
+      `📋 Sent ${formattedRequests.length} pending requests to driver ${socket.id}`
+    );
   });
 
-  socket.on("accept-request", async ({ requestId, vehicleId }) => {
-    console.log(requestId, vehicleId,"this is wee")
-    try {
-      const pendingRequestsdb = await EmergencyRequest.find({
-        status: "pending",
-      })
-        .populate("requesterId")
+  // A failed accept is answered with an error whose code says why, e.g.
+  // already_taken or offered_elsewhere
+  onEvent(socket, "accept-request", emergencySchemas.requestRef, async ({ requestId }) => {
+    // While dispatch is running only the offered ambulance may take the job
+    if (
+      (await dispatcher.isDispatching(requestId)) &&
+      (await dispatcher.offeredTo(requestId)) !== vehicleId
+    ) {
+      throw conflict("Request is being offered to another ambulance", "offered_elsewhere");
+    }
 
-        
+    // Atomic: fails if another crew got there first or this ambulance is busy
+    const request = await claimRequest(requestId, vehicleId, socketActor(socket));
 
-      // Convert to GeoJSON format for easier mapping
-      const formattedRequests = pendingRequestsdb.map((request) => ({
-        _id: request._id.toString(),
-        location: request.location,
-        emergencyDetails: request.emergencyDetails,
-        patientCount: request.patientCount,
-        criticalLevel: request.criticalLevel,
-        createdAt: request.createdAt,
-        requester: request.requesterId,
-      }));
+    await dispatcher.stop(requestId);
+    socket.join(requestRoom(requestId));
+    socket.emit("accepted-progress");
 
-      // Add to pendingRequests map
-      formattedRequests.forEach((request) => {
-        pendingRequests.set(request._id, {
-          ...request,
-          socketId: socket.id, // Store driver's socket ID
-        });
-      });
+    // The requester joined the request room when they created it
+    await announceAssignment(request, fromPoint(request.toObject().location));
+    driverIo.emit("request-removed", requestId);
+    return { requestId };
+  });
 
-      const requestIdString = requestId;
-      const request = pendingRequests.get(requestId);
-      console.log("test",request,request)
-      if (!request) {
-        throw new Error("Request no longer available");
+  onEvent(
+    socket,
+    "decline-request",
+    emergencySchemas.declineRequest,
+    async ({ requestId, reason }) => {
+      if (!(await dispatcher.decline(requestId, vehicleId))) {
+        throw conflict("This request was not offered to you", "not_offered");
       }
+      await recordDecline(requestId, socketActor(socket), reason);
+    }
+  );
+
+  // Give an accepted request back before the patient is on board, e.g. after
+  // a breakdown. It goes back to pending and is dispatched to other crews.
+  onEvent(
+    socket,
+    "abandon-request",
+    emergencySchemas.abandonRequest,
+    async ({ requestId, reason }) => {
+      await requeueRequest(requestId, socketActor(socket), reason);
+      socket.emit("accepted-progress-disable");
+    }
+  );
+
+  // Hand an accepted request straight to another available ambulance, which
+  // joins the request room in place of this one
+  onEvent(
+    socket,
+    "transfer-request",
+    emergencySchemas.transferRequest,
+    async ({ requestId, vehicleId: target, reason }) => {
+      await assignAmbulance(requestId, target, socketActor(socket), { reason });
+      socket.emit("accepted-progress-disable");
+      return { requestId, vehicleId: target };
+    }
+  );
+
+  onEvent(
+    socket,
+    "update-request-status",
+    emergencySchemas.updateRequestStatus,
+    async ({ requestId, status }) => {
+      // Validates the transition and ownership, and updates the ambulance status
+      const request = await transitionRequest(requestId, status, socketActor(socket));
+      await incidents.syncRequestUnit(request);
+
+      // No ETA to the patient once they are on board
+      const trip = await activeTrips.get(vehicleId);
+      if (status === "completed" || status === "cancelled") {
+        await activeTrips.delete(vehicleId);
+      } else if (trip && status === "in_progress") {
+        await activeTrips.set(vehicleId, { ...trip, patientLocation: null });
+      }
+      socket.emit("accepted-progress-disable");
+    }
+  );
+
+  // Driver picked a destination hospital: pre-alert it with the patient details
+  onEvent(
+    socket,
+    "select-hospital",
+    emergencySchemas.selectHospital,
+    async ({ requestId, hospitalId }) => {
+      const [request, hospital, ambulance] = await Promise.all([
+        EmergencyRequest.findById(requestId).lean(),
+        Hospital.findById(hospitalId).lean(),
+        describeAmbulance(vehicleId),
+      ]);
+      if (!request || request.ambulanceId !== vehicleId) {
+        throw forbidden("This request is not assigned to your ambulance");
+      }
+      if (!ACTIVE_STATUSES.includes(request.status)) {
+        throw conflict(
+          `Cannot select a hospital for a ${request.status} request`,
+          "invalid_transition"
+        );
+      }
+      if (!hospital) throw notFound("Hospital not found");
 
-      // Create private room with original client
-      const roomId = `emergency-${requestIdString}`;
-      socket.join(roomId); // Driver joins
-      clientIo.to(request.socketId).socketsJoin(roomId); // Client joins
-      socket.emit("accepted-progress");
-
+      const hospitalLocation = fromPoint(hospital.location);
+      const estimate = ambulance?.currentLocation
+        ? await eta.estimate(ambulance.currentLocation, hospitalLocation)
+        : null;
 
-      // Update database
-      await EmergencyRequest.findByIdAndUpdate(requestId, {
-        status: "accepted",
-        ambulanceId: vehicleId,
+      await EmergencyRequest.updateOne(
+        { _id: request._id },
+        { destinationHospitalId: hospital._id, hospitalAlertedAt: new Date() }
+      );
+      audit({
+        actor: socketActor(socket),
+        action: "request.hospital_selected",
+        entityType: "EmergencyRequest",
+        entityId: request._id,
+        before: { destinationHospitalId: request.destinationHospitalId },
+        after: { destinationHospitalId: hospital._id },
       });
+      const trip = await activeTrips.get(vehicleId);
+      if (trip) {
+        await activeTrips.set(vehicleId, {
+          ...trip,
+          hospitalId: hospital._id.toString(),
+          hospitalLocation,
+        });
+      }
 
-      // Cleanup
-      pendingRequests.delete(requestIdString);
-      driverIo.emit("request-removed", requestIdString);
-    } catch (error) {
-      console.error("Accept error:", error);
-      socket.emit("accept-error", error.message);
+      emitToHospital(hospital._id, "incoming-patient", {
+        requestId: request._id,
+        ...patientDetails(request),
+        status: request.status,
+        etaMinutes: estimate?.etaMinutes ?? null,
+        ambulance,
+      });
+      emitToRequest(requestId, "hospital-selected", {
+        requestId,
+        hospital: { id: hospital._id, name: hospital.name, location: hospitalLocation },
+        etaMinutes: estimate?.etaMinutes ?? null,
+      });
+      console.log(`🏥 ${vehicleId} heading to ${hospital.name} with request ${requestId}`);
     }
-  });
-  socket.on("update-request-status",async ( {
-    requestId,
-    status
-  })=>{
-    try{
-
-    await EmergencyRequest.findByIdAndUpdate(requestId, {
-      status: status
-    });
-    socket.emit("accepted-progress-disable");
-  } catch (error) {
-    console.error("update request status:", error);
-  
+  );
+
+  // Mass-casualty incidents: each crew accepts one unit and reports its own
+  // progress; every crew on the incident shares the incident room
+
+  onEvent(socket, "get-open-incidents", null, async () => ({
+    incidents: await incidents.openIncidents(),
+  }));
+
+  onEvent(
+    socket,
+    "accept-incident",
+    incidentSchemas.acceptIncident,
+    async ({ incidentId, unitId }) => {
+      const result = await incidents.acceptUnit(incidentId, socketActor(socket), { unitId });
+      socket.join(incidentRoom(incidentId));
+      console.log(`🚨 ${vehicleId} joined incident ${incidentId}`);
+      return { incidentId, unitId: result.unitId };
+    }
+  );
+
+  onEvent(
+    socket,
+    "update-unit-status",
+    incidentSchemas.updateUnitStatus,
+    async ({ incidentId, status }) => {
+      await incidents.updateUnitStatus(incidentId, socketActor(socket), status);
+    }
+  );
+
+  // Stand down before taking a patient; the unit opens for another crew
+  onEvent(
+    socket,
+    "release-unit",
+    incidentSchemas.releaseUnit,
+    async ({ incidentId, reason }) => {
+      await incidents.releaseUnit(incidentId, socketActor(socket), reason);
+      socket.leave(incidentRoom(incidentId));
+    }
+  );
 
-  }
-    
+  // Booked patient transports: reminders reach the crew's room, the trip
+  // itself arrives as an ordinary request-assigned shortly before pickup
 
-  })
+  // The vehicle's booked transports for the coming days
+  onEvent(socket, "get-upcoming-bookings", bookingSchemas.upcomingBookings, async ({ days }) => {
+    const bookings = await upcomingBookings(vehicleId, days);
+    return { bookings: bookings.map(formatBooking) };
+  });
 
   // Handle socket disconnection
   socket.on("disconnect", async () => {
     console.log(`\x1b[31m${socket.id} User Disconnected\x1b[0m`);
 
-    const driverData = activeDrivers.get(socket.id);
-    if (!driverData) {
+    // A newer connection (possibly on another instance) may own the vehicle now
+    const driverData = await activeDrivers.get(vehicleId);
+    if (!driverData || driverData.socketId !== socket.id) {
       console.log(`🚨 No vehicle found for disconnected socket: ${socket.id}`);
       return;
     }
 
-    const { vehicleId } = driverData;
     try {
-      const updatedAmbulance = await Ambulance.findOneAndUpdate(
-        { vehicleId },
-        {
-          status: "offline",
-          discount: false,
-          "currentLocation.lastUpdated": new Date(),
-        },
-        { new: true }
-      );
-
-      if (updatedAmbulance) {
-        console.log(
-          `🚑 Ambulance ${vehicleId} set to offline due to disconnection.`
-        );
-
-        // Notify all clients to remove the ambulance from the map
-        clientIo.emit("remove-ambulance", { vehicleId });
+      // Give the driver a chance to come back before taking them off duty
+      const disconnectedAt = Date.now();
+      await activeDrivers.set(vehicleId, { vehicleId, socketId: null, disconnectedAt });
+
+      // A dropped connection never abandons an accepted emergency or incident
+      const incidentId = await incidentCrews.get(vehicleId);
+      if (incidentId) {
+        clientIo
+          .to(incidentRoom(incidentId))
+          .emit("driver-connection-lost", { incidentId, vehicleId });
       }
-
-      activeDrivers.delete(socket.id); // Remove from active drivers map
+      const trip = await activeTrips.get(vehicleId);
+      if (trip) {
+        clientIo
+          .to(requestRoom(trip.requestId))
+          .emit("driver-connection-lost", { requestId: trip.requestId, vehicleId });
+        return;
+      }
+      if (incidentId) return;
+
+      setTimeout(
+        () =>
+          endReconnectGrace(vehicleId, disconnectedAt).catch((error) =>
+            console.error("Error setting ambulance offline:", error)
+          ),
+        RECONNECT_GRACE_MS
+      ).unref();
     } catch (error) {
-      console.error("Error setting ambulance offline:", error);
+      console.error("Error handling driver disconnect:", error);
     }
   });
 });
@@ -280,69 +915,124 @@ driverIo.on("connection", (socket) => {
 clientIo.on("connection", (socket) => {
   console.log(`\x1b[32m${socket.id} User connected\x1b[0m`);
 
-  socket.on("setAmbulance", async () => {
+  onEvent(socket, "setAmbulance", null, async () => {
     console.log(`🚑 Client requested all active ambulances`);
 
-    try {
-      // Fetch all active ambulances from the database
-      const activeAmbulances = await Ambulance.find({
-        status: { $ne: "offline" },
-      });
+    // Fetch all active ambulances from the database
+    const activeAmbulances = await Ambulance.find({
+      status: { $ne: "offline" },
+    }).lean();
+
+    // Emit active ambulances to the client
+    socket.emit(
+      "active-ambulances",
+      activeAmbulances.map((ambulance) => ({
+        ...ambulance,
+        currentLocation: formatAmbulanceLocation(ambulance),
+      }))
+    );
+    console.log("📍 Sent all active ambulances to client");
+  });
 
-      // Emit active ambulances to the client
-      socket.emit("active-ambulances", activeAmbulances);
-      console.log("📍 Sent all active ambulances to client");
-    } catch (error) {
-      console.error("Error sending active ambulances:", error);
-    }
+  // Clients only receive ambulance positions inside the map area they show
+  onEvent(socket, "subscribe-viewport", driverSchemas.viewport, (viewport) => {
+    socket.data.viewport = viewport;
   });
 
-  socket.on("EmergencyRequest", ({ userId, latitude, longitude }) => {
-    console.log("emergency called");
+  onEvent(socket, "unsubscribe-viewport", null, () => {
+    delete socket.data.viewport;
   });
 
-  socket.on("emergency-request", async (requestData) => {
-    try {
-      // Validate request data
+  // Answered with the new requestId
+  onEvent(
+    socket,
+    "emergency-request",
+    emergencySchemas.emergencyRequest,
+    async (requestData) => {
+      // The requester is whoever is logged in, not a userId from the payload
+      const { userId } = socket.data.user;
 
-      if (!requestData.userId || !requestData.location) {
-        throw new Error("Invalid request data");
-      }
+      // Scored triage answers can raise the critical level, the caller's pick
+      // is kept for reference. Partial answers are passed on unscored.
+      const assessment =
+        requestData.triage && assessTriage(requestData.triage, requestData.criticalLevel);
 
       // Create new emergency request
       const newRequest = new EmergencyRequest({
-        requesterId: requestData.userId,
-        location: requestData.location,
+        requesterId: userId,
+        location: {
+          ...toPoint(requestData.location.latitude, requestData.location.longitude),
+          address: requestData.location.address,
+        },
         emergencyDetails: requestData.emergencyDetails,
         patientCount: requestData.patientCount,
-        criticalLevel: requestData.criticalLevel,
+        criticalLevel: assessment ? assessment.criticalLevel : requestData.criticalLevel,
+        reportedCriticalLevel: assessment ? requestData.criticalLevel : undefined,
+        requiredVehicleType: assessment?.vehicleType,
+        triage: requestData.triage && {
+          ...requestData.triage,
+          ...(assessment && {
+            score: assessment.score,
+            redFlags: assessment.redFlags,
+            recommendedCriticalLevel: assessment.recommendedLevel,
+          }),
+        },
         status: "pending",
-        _id: requestData.userId._id,
       });
 
       await newRequest.save();
-
-      // Store in memory for faster access
-      pendingRequests.set(newRequest._id.toString(), {
-        ...newRequest.toObject(),
-        socketId: socket.id,
+      audit({
+        actor: socketActor(socket),
+        action: "request.created",
+        entityType: "EmergencyRequest",
+        entityId: newRequest._id,
+        after: {
+          criticalLevel: newRequest.criticalLevel,
+          reportedCriticalLevel: newRequest.reportedCriticalLevel,
+          requiredVehicleType: newRequest.requiredVehicleType,
+          patientCount: newRequest.patientCount,
+        },
       });
 
-      // Broadcast to all drivers
-      driverIo.emit("new-emergency-request", {
+      // The requester follows progress through the request room
+      socket.join(requestRoom(newRequest._id));
+      socket.emit("request-created", { requestId: newRequest._id });
+
+      // Offer to the best ambulance first, cascading on decline or timeout
+      await dispatcher.dispatch(newRequest.toObject());
+
+      console.log(`🚨 New emergency request from ${userId}`);
+      return {
         requestId: newRequest._id,
-        location: newRequest.location,
-        emergencyDetails: newRequest.emergencyDetails,
-        patientCount: newRequest.patientCount,
         criticalLevel: newRequest.criticalLevel,
-        createdAt: newRequest.createdAt,
-      });
+        requiredVehicleType: newRequest.requiredVehicleType,
+      };
+    }
+  );
+
+  onEvent(
+    socket,
+    "cancel-request",
+    emergencySchemas.cancelRequest,
+    async ({ requestId, reason }) => {
+      await cancelRequest(requestId, socketActor(socket), reason);
+      console.log(`🛑 Request ${requestId} cancelled by client`);
+    }
+  );
 
-      console.log(`🚨 New emergency request from ${requestData.userId}`);
-    } catch (error) {
-      console.error("Error handling emergency request:", error);
-      socket.emit("request-error", "Failed to process emergency request");
+  // Admins coordinating an incident follow its room: unit updates and the
+  // positions of every crew on it
+  onEvent(socket, "watch-incident", incidentSchemas.incidentRef, async ({ incidentId }) => {
+    if (socket.data.user.userType !== "admin") {
+      throw forbidden("Only admins can coordinate incidents");
     }
+    const incident = await incidents.findIncident(incidentId);
+    if (incident.status === "active") socket.join(incidentRoom(incidentId));
+    return { incident: formatIncident(incident) };
+  });
+
+  onEvent(socket, "unwatch-incident", incidentSchemas.incidentRef, ({ incidentId }) => {
+    socket.leave(incidentRoom(incidentId));
   });
 
   // Handle socket disconnection
@@ -351,18 +1041,86 @@ clientIo.on("connection", (socket) => {
   });
 });
 
-// Register Route
-app.post("/register", async (req, res) => {
+hospitalIo.on("connection", async (socket) => {
+  console.log(`\x1b[32m${socket.id} Hospital connected\x1b[0m`);
+
   try {
-    const { name, email, number, password, userType, vehicleId, vehicleType } =
-      req.body;
-    if (!name || !email || !number || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    // Pre-alerts are delivered to the hospital's own room
+    const hospital = await Hospital.findOne({ userId: socket.data.user.userId })
+      .select("_id name")
+      .lean();
+    if (!hospital) {
+      socket.emit("hospital-error", { message: "Hospital profile not found" });
+      return;
+    }
+
+    socket.join(hospitalRoom(hospital._id));
+    console.log(`🏥 ${hospital.name} listening for incoming patients`);
+  } catch (error) {
+    console.error("Error joining hospital room:", error);
+  }
+
+  socket.on("disconnect", () => {
+    console.log(`\x1b[31m${socket.id} Hospital Disconnected\x1b[0m`);
+  });
+});
+
+// Read-only followers of a share link get the request's current state, then
+// its live updates until the link expires or is revoked
+trackIo.on("connection", async (socket) => {
+  const { requestId, expiresAt } = socket.data.share;
+  socket.join(requestRoom(requestId));
+
+  const expiry = setTimeout(() => {
+    socket.emit("tracking-ended", { requestId, reason: "expired" });
+    socket.disconnect(true);
+  }, new Date(expiresAt).getTime() - Date.now());
+  socket.on("disconnect", () => clearTimeout(expiry));
+
+  try {
+    socket.emit("tracking-snapshot", await trackingSnapshot(requestId));
+  } catch (error) {
+    console.error("Error sending tracking snapshot:", error);
+  }
+});
+
+app.use(authRoutes);
+app.use("/hospitals", hospitalRoutes);
+app.use("/driver", driverRoutes);
+app.use("/operator", operatorRoutes);
+app.use("/profile", profileRoutes);
+app.use("/bookings", bookingRoutes);
+app.use(trackingRoutes);
+app.use("/admin/analytics", analyticsRoutes);
+app.use("/admin/incidents", createIncidentRouter(incidents));
+app.use("/admin", createAdminRouter({ assignAmbulance, forceAmbulanceOffline }));
+
+// Roles anyone may sign up for; admin and hospital accounts are created by an admin
+const SELF_REGISTER_TYPES = ["client", "ambulance"];
+
+// Register Route
+app.post(
+  "/register",
+  validateRequest({ body: accountSchemas.register }),
+  asyncHandler(async (req, res) => {
+    const { name, email, number, password, userType } = req.body;
+    if (!SELF_REGISTER_TYPES.includes(userType)) {
+      throw forbidden(`Cannot register as ${userType}, ask an administrator`);
     }
 
     const existingUser = await User.findOne({ email });
-    if (existingUser)
-      return res.status(400).json({ message: "User already exists" });
+    if (existingUser) throw conflict("User already exists", "user_exists");
+
+    // Drivers register their vehicle with the account. It stays off duty
+    // until an admin has verified it.
+    const submission =
+      userType === "ambulance"
+        ? {
+            licenseNumber: req.body.licenseNumber,
+            registrationNumber: req.body.registrationNumber,
+            equipmentLevel: req.body.equipmentLevel || req.body.vehicleType,
+          }
+        : null;
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const newUser = new User({
@@ -370,324 +1128,409 @@ app.post("/register", async (req, res) => {
       email,
       number,
       password: hashedPassword,
-      userType: userType || "client",
+      userType,
     });
     await newUser.save();
-
-    // If registering as an ambulance, create ambulance record
-    const generateVehicleId = () => {
-      return "AMB-" + Math.random().toString(36).substring(2, 8).toUpperCase();
-    };
-    if (userType === "ambulance") {
-      const newAmbulance = new Ambulance({
-        userId: newUser._id,
-        vehicleId: generateVehicleId(),
-        vehicleType: vehicleType || "basic",
-        status: "offline",
-      });
-
-      await newAmbulance.save();
+    const actor = { userId: newUser._id, role: userType, ip: req.ip };
+
+    if (submission) {
+      try {
+        const ambulance = await registerAmbulance({ userId: newUser._id }, submission);
+        audit({
+          actor,
+          action: "user.registered",
+          entityType: "User",
+          entityId: newUser._id,
+          after: { email, userType },
+        });
+        audit({
+          actor,
+          action: "ambulance.registered",
+          entityType: "Ambulance",
+          entityId: ambulance.vehicleId,
+          after: { vehicleType: ambulance.vehicleType, verificationStatus: "pending_verification" },
+        });
+        return res.status(201).json({
+          message: "User registered, the ambulance is awaiting verification",
+          vehicleId: ambulance.vehicleId,
+          verificationStatus: ambulance.verificationStatus,
+        });
+      } catch (error) {
+        // No account without its vehicle, the driver can register again
+        await User.deleteOne({ _id: newUser._id });
+        throw error;
+      }
     }
 
+    audit({
+      actor,
+      action: "user.registered",
+      entityType: "User",
+      entityId: newUser._id,
+      after: { email, userType },
+    });
     res.status(201).json({ message: "User registered successfully" });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  })
+);
+
+// Ambulance summary returned with the account of a driver
+const ambulanceDetailsFor = async (user) => {
+  if (user.userType !== "ambulance") return null;
+
+  const { ambulance } = await currentAmbulanceFor(user._id);
+  if (!ambulance) return null;
+  return {
+    ambulanceId: ambulance._id,
+    vehicleId: ambulance.vehicleId,
+    vehicleType: ambulance.vehicleType,
+    status: ambulance.status,
+  };
+};
+
+const loginLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 10,
+  message: "Too many login attempts, try again later",
 });
 
+const accountLocked = (until) =>
+  tooManyRequests(
+    "Too many failed attempts, account locked",
+    Math.ceil((until - Date.now()) / 1000),
+    "account_locked"
+  );
+
 // Login Route
-app.post("/login", async (req, res) => {
-  try {
+app.post(
+  "/login",
+  loginLimit,
+  validateRequest({ body: accountSchemas.login }),
+  asyncHandler(async (req, res) => {
     const { email, password } = req.body;
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: "Invalid credentials" });
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
-      return res.status(400).json({ message: "Invalid credentials" });
+    if (!user) throw badRequest("Invalid credentials", "invalid_credentials");
 
-    user.lastLogin = new Date();
-    await user.save();
+    const locked = lockedUntil(user);
+    if (locked) throw accountLocked(locked);
 
-    const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    // If user is an ambulance, include ambulance details
-    let ambulanceDetails = null;
-    if (user.userType === "ambulance") {
-      const ambulance = await Ambulance.findOne({ userId: user._id });
-      if (ambulance) {
-        ambulanceDetails = {
-          ambulanceId: ambulance._id,
-          vehicleId: ambulance.vehicleId,
-          vehicleType: ambulance.vehicleType,
-          status: ambulance.status,
-        };
-      }
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      const lockedNow = await recordFailedLogin(user);
+      audit({
+        actor: actorOf(req),
+        action: "user.login_failed",
+        entityType: "User",
+        entityId: user._id,
+        after: lockedNow ? { lockedUntil: lockedNow } : undefined,
+      });
+      if (lockedNow) throw accountLocked(lockedNow);
+      throw badRequest("Invalid credentials", "invalid_credentials");
     }
 
-    res.json({ token, userType: user.userType, ambulanceDetails });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    if (!user.active) throw forbidden("Account deactivated", "account_inactive");
 
-app.get("/getAmbulance", authenticate, async (req, res) => {
-  try {
-    const userID = req.user.userId; // Extract userId from the decoded token
+    await recordSuccessfulLogin(user);
+    audit({
+      actor: { userId: user._id, role: user.userType, ip: req.ip },
+      action: "user.logged_in",
+      entityType: "User",
+      entityId: user._id,
+    });
 
-    // Convert userID string to ObjectId
-    const objectId = new mongoose.Types.ObjectId(userID);
+    // Short-lived access token plus a refresh token for POST /refresh
+    const tokens = await createSession(user, {
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
 
-    const ambulance = await Ambulance.findOne({ userId: objectId });
+    res.json({
+      ...tokens,
+      userType: user.userType,
+      ambulanceDetails: await ambulanceDetailsFor(user),
+    });
+  })
+);
 
-    if (!ambulance) {
-      return res.status(404).json({ message: "Ambulance details not found." });
-    }
+app.get(
+  "/getAmbulance",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    // The vehicle of the driver's current shift, or the one they own
+    const { ambulance, shift } = await currentAmbulanceFor(req.user.userId);
+    if (!ambulance) throw notFound("Ambulance details not found.");
 
-    console.log("Ambulance Details:", ambulance);
-    res.json(ambulance);
-  } catch (error) {
-    console.error("Error fetching ambulance details:", error);
-    res.status(500).json({ message: "Internal server error." });
-  }
-});
+    res.json({
+      ...ambulance,
+      shift: shift ? { id: shift._id, startsAt: shift.startsAt, endsAt: shift.endsAt } : null,
+    });
+  })
+);
 
 // Get nearby ambulances
-app.get("/nearby-ambulances", async (req, res) => {
-  try {
-    const { latitude, longitude, radius = 10 } = req.query; // radius in kilometers
-
-    if (!latitude || !longitude) {
-      return res
-        .status(400)
-        .json({ message: "Latitude and longitude are required" });
-    }
-
-    // Find ambulances that are online or on duty
-    const ambulances = await Ambulance.find({
-      status: { $in: ["available", "on_route", "with_patient", "at_hospital"] },
-      "currentLocation.latitude": { $ne: null },
-      "currentLocation.longitude": { $ne: null },
-    }).populate("userId", "name");
+app.get(
+  "/nearby-ambulances",
+  validateRequest({ query: emergencySchemas.nearbyQuery }),
+  asyncHandler(async (req, res) => {
+    // radius in kilometers
+    const { latitude, longitude, radius, limit, status, vehicleType, sortBy } = req.query;
+
+    // status and vehicleType accept comma separated lists, e.g. ?status=available,on_route
+    const ambulances = await findNearbyAmbulances({
+      latitude,
+      longitude,
+      radiusKm: radius,
+      status: status?.length ? status : ON_DUTY_STATUSES,
+      vehicleType: vehicleType?.length ? vehicleType : undefined,
+      limit,
+    });
+    await Ambulance.populate(ambulances, { path: "userId", select: "name" });
 
-    // In a real app, you'd implement proper distance calculation with MongoDB geospatial queries
-    // This is a simplified version for demonstration purposes
-    const nearbyAmbulances = ambulances.map((ambulance) => ({
+    // Results are already sorted nearest first
+    let nearbyAmbulances = ambulances.map((ambulance) => ({
       id: ambulance._id,
-      driverName: ambulance.userId.name,
+      vehicleId: ambulance.vehicleId,
+      driverName: ambulance.userId?.name,
       vehicleType: ambulance.vehicleType,
       status: ambulance.status,
-      location: ambulance.currentLocation,
-      // In a real app you would calculate actual distance here
-      distance: "calculating...", // Placeholder
+      location: formatAmbulanceLocation(ambulance),
+      distance: Number(ambulance.distanceKm.toFixed(2)), // kilometers
     }));
 
+    // ?sortBy=eta: fastest to reach the point first, by road when routing is configured
+    if (sortBy === "eta") {
+      const estimates = await eta.estimateMany(
+        nearbyAmbulances.map((ambulance) => ambulance.location),
+        { latitude, longitude }
+      );
+      nearbyAmbulances = nearbyAmbulances
+        .map((ambulance, index) => ({
+          ...ambulance,
+          etaMinutes: estimates[index].etaMinutes,
+          etaSource: estimates[index].source,
+        }))
+        .sort((a, b) => a.etaMinutes - b.etaMinutes || a.distance - b.distance);
+    }
+
     res.json({ ambulances: nearbyAmbulances });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  })
+);
 
 // Get emergency request status
-app.get("/emergency-request/:requestId", async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Unauthorized" });
-
-    const decoded = jwt.verify(token, JWT_SECRET);
+app.get(
+  "/emergency-request/:requestId",
+  authenticate,
+  validateRequest({ params: emergencySchemas.requestParams }),
+  asyncHandler(async (req, res) => {
+    const decoded = req.user;
     const { requestId } = req.params;
 
-    const request = await EmergencyRequest.findById(requestId).populate({
-      path: "ambulanceId",
-      select: "vehicleId vehicleType currentLocation status",
-      populate: {
-        path: "userId",
-        select: "name number",
-      },
-    });
-
-    if (!request) {
-      return res.status(404).json({ message: "Emergency request not found" });
-    }
+    const request = await EmergencyRequest.findById(requestId).lean();
+    if (!request) throw notFound("Emergency request not found");
 
     // Verify the requester is authorized to see this request
     if (
       request.requesterId.toString() !== decoded.userId &&
       decoded.userType !== "admin"
     ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to view this request" });
+      throw forbidden("Not authorized to view this request");
     }
 
+    // ambulanceId holds the vehicleId of the assigned ambulance
+    const ambulance = request.ambulanceId
+      ? await describeAmbulance(request.ambulanceId)
+      : null;
+
     res.json({
       request: {
         id: request._id,
         status: request.status,
-        location: request.location,
+        location: fromPoint(request.location),
         emergencyDetails: request.emergencyDetails,
+        patientCount: request.patientCount,
+        criticalLevel: request.criticalLevel,
+        triage: request.triage,
         createdAt: request.createdAt,
+        acceptedAt: request.acceptedAt,
+        arrivedAt: request.arrivedAt,
+        pickedUpAt: request.pickedUpAt,
         completedAt: request.completedAt,
-        ambulance: request.ambulanceId
-          ? {
-              id: request.ambulanceId._id,
-              vehicleId: request.ambulanceId.vehicleId,
-              vehicleType: request.ambulanceId.vehicleType,
-              currentLocation: request.ambulanceId.currentLocation,
-              status: request.ambulanceId.status,
-              driverName: request.ambulanceId.userId?.name,
-              driverContact: request.ambulanceId.userId?.number,
-            }
-          : null,
+        cancelledAt: request.cancelledAt,
+        cancellationReason: request.cancellationReason,
+        incidentId: request.incidentId || null,
+        ambulance,
       },
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Verify Token Route
-app.post("/verify-token", async (req, res) => {
-  try {
-    const { token } = req.body;
-
-    if (!token) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Token is required" });
-    }
-
-    // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Fetch user details
-    const user = await User.findById(decoded.userId).select("-password"); // Exclude password
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: "User not found" });
-    }
+  })
+);
 
-    // Fetch ambulance details if the user is an ambulance driver
-    let ambulanceDetails = null;
-    if (user.userType === "ambulance") {
-      const ambulance = await Ambulance.findOne({ userId: user._id });
-      if (ambulance) {
-        ambulanceDetails = {
-          ambulanceId: ambulance._id,
-          vehicleId: ambulance.vehicleId,
-          vehicleType: ambulance.vehicleType,
-          status: ambulance.status,
-        };
-      }
+// Trip breadcrumbs of a request: JSON, ?format=geojson or ?format=gpx
+app.get(
+  "/emergency-request/:requestId/track",
+  authenticate,
+  validateRequest({ params: emergencySchemas.requestParams, query: emergencySchemas.trackQuery }),
+  asyncHandler(async (req, res) => {
+    const request = await EmergencyRequest.findById(req.params.requestId)
+      .select("requesterId ambulanceId status")
+      .lean();
+    if (!request) throw notFound("Emergency request not found");
+
+    // The requester, admins and the crew that served the request may see it
+    let allowed =
+      request.requesterId.toString() === req.user.userId ||
+      req.user.userType === "admin";
+    if (!allowed && req.user.userType === "ambulance" && request.ambulanceId) {
+      // The vehicle of the driver's current shift, or the one they own
+      const { ambulance } = await currentAmbulanceFor(req.user.userId);
+      allowed = ambulance?.vehicleId === request.ambulanceId;
     }
-
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        number: user.number,
-        userType: user.userType,
-        status: user.status,
-      },
-      ambulanceDetails,
+    if (!allowed) throw forbidden("Not authorized to view this request");
+
+    const points = await findTrack({ requestId: request._id });
+    sendTrack(res, req.query.format, points, {
+      name: `request-${request._id}`,
+      requestId: request._id,
+      vehicleId: request.ambulanceId,
+      status: request.status,
     });
-  } catch (error) {
-    console.error("Error verifying token:", error);
-    res
-      .status(401)
-      .json({ success: false, message: "Invalid or expired token" });
-  }
-});
+  })
+);
 
-// Profile Route
-app.get("/profile", async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(" ")[1]; // Get token from Authorization header
-    if (!token) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Authorization token is required" });
-    }
-
-    // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Fetch user details
-    const user = await User.findById(decoded.userId).select("-password"); // Exclude password
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: "User not found" });
-    }
-
-    // Fetch ambulance details if the user is an ambulance driver
-    let ambulanceDetails = null;
-    if (user.userType === "ambulance") {
-      const ambulance = await Ambulance.findOne({ userId: user._id });
-      if (ambulance) {
-        ambulanceDetails = {
-          ambulanceId: ambulance._id,
-          vehicleId: ambulance.vehicleId,
-          vehicleType: ambulance.vehicleType,
-          status: ambulance.status,
-        };
-      }
-    }
+// Cancel an emergency request
+app.post(
+  "/emergency-request/:requestId/cancel",
+  authenticate,
+  validateRequest({ params: emergencySchemas.requestParams, body: emergencySchemas.cancelBody }),
+  asyncHandler(async (req, res) => {
+    const request = await cancelRequest(
+      req.params.requestId,
+      actorOf(req),
+      req.body.reason
+    );
 
     res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        number: user.number,
-        userType: user.userType,
-        status: user.status,
-        lastLogin: user.lastLogin,
-      },
-      ambulanceDetails,
+      message: "Emergency request cancelled",
+      request: { id: request._id, status: request.status, cancelledAt: request.cancelledAt },
     });
-  } catch (error) {
-    console.error("Error fetching profile:", error);
-    res
-      .status(401)
-      .json({ success: false, message: "Invalid or expired token" });
-  }
-});
+  })
+);
 
-app.post("/update-status", async (req, res) => {
-  console.log("update status");
-  try {
-    const { status } = req.body;
-    const driverId = req.user.id; // Extracted from token
-
-    // Find and update driver status in MongoDB
-    const driver = await Driver.findByIdAndUpdate(
-      driverId,
-      { status },
-      { new: true }
-    );
+// Account behind an access token, shared by /verify-token and /profile
+const sendAccount = async (res, token) => {
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) throw unauthorized("Invalid or expired token", "invalid_token");
+
+  const user = await User.findById(decoded.userId).select("-password"); // Exclude password
+  if (!user) throw notFound("User not found");
+
+  res.json({
+    success: true,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      number: user.number,
+      userType: user.userType,
+      status: user.status,
+      lastLogin: user.lastLogin,
+    },
+    ambulanceDetails: await ambulanceDetailsFor(user),
+  });
+};
 
-    if (!driver) return res.status(404).json({ message: "Driver not found" });
+// Verify Token Route
+app.post(
+  "/verify-token",
+  validateRequest({ body: accountSchemas.verifyToken }),
+  asyncHandler((req, res) => sendAccount(res, req.body.token))
+);
 
-    // Emit status update via Socket.IO (if applicable)
-    io.emit("driverStatusUpdate", { driverId, status });
+// Profile Route
+app.get(
+  "/profile",
+  asyncHandler(async (req, res) => {
+    const token = req.headers.authorization?.split(" ")[1]; // Get token from Authorization header
+    if (!token) throw unauthorized("Authorization token is required");
+    await sendAccount(res, token);
+  })
+);
 
-    res.json({ message: "Status updated successfully", driver });
-  } catch (error) {
-    console.error("Error updating driver status:", error);
-    res.status(500).json({ message: "Internal Server Error" });
-  }
-});
+// Anything not matched above, and every error passed on by a route
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Restore dispatch state from MongoDB so a restart (or a new instance) does
+// not start blank. Entries already present in a shared store are kept, except
+// offer holders: their cascades' timers died with the process that ran them.
+const rebuildState = async () => {
+  const offers = await dispatchOffers.entries();
+  await Promise.all(offers.map(([requestId]) => dispatchOffers.delete(requestId)));
+
+  const [active, ambulances] = await Promise.all([
+    EmergencyRequest.find({
+      status: { $in: ACTIVE_STATUSES },
+      ambulanceId: { $exists: true },
+    })
+      .populate("destinationHospitalId", "location")
+      .lean(),
+    Ambulance.find({ status: { $ne: "offline" } }).select("vehicleId").lean(),
+  ]);
+
+  await Promise.all([
+    ...active.map((request) =>
+      activeTrips.setIfAbsent(request.ambulanceId, {
+        requestId: request._id.toString(),
+        // No ETA to the patient once they are on board
+        patientLocation:
+          request.status === "in_progress" ? null : fromPoint(request.location),
+        hospitalId: request.destinationHospitalId?._id.toString(),
+        hospitalLocation: fromPoint(request.destinationHospitalId?.location),
+      })
+    ),
+    // Drivers reconnect by themselves, their socket is not known until then
+    ...ambulances.map(({ vehicleId }) =>
+      activeDrivers.setIfAbsent(vehicleId, { vehicleId, socketId: null })
+    ),
+  ]);
+
+  const crews = await incidents.restoreCrews();
+
+  console.log(
+    `♻️ Restored ${active.length} active trip(s), ${crews} incident crew(s) and ${ambulances.length} on-duty ambulance(s)`
+  );
+};
+
+// Requests still pending lost their dispatch cascade with the process that
+// ran it. Drivers get the reconnect grace to come back, then they are
+// dispatched again.
+const redispatchPending = async () => {
+  const pending = await EmergencyRequest.find({ status: "pending" }).lean();
+  for (const request of pending) await dispatcher.dispatch(request);
+  console.log(`♻️ Dispatching ${pending.length} pending request(s) again`);
+};
 
 // Start the server
-server.listen(PORT, () =>
-  console.log(`Ambulance tracking server running on http://localhost:${PORT}`)
-);
+rebuildState()
+  .catch((error) => console.error("❌ Error restoring state:", error))
+  .finally(() => {
+    server.listen(PORT, () =>
+      console.log(`Ambulance tracking server running on http://localhost:${PORT}`)
+    );
+    setTimeout(
+      () =>
+        redispatchPending().catch((error) =>
+          console.error("❌ Error dispatching pending requests:", error)
+        ),
+      RECONNECT_GRACE_MS
+    ).unref();
+  });
+
+// Save buffered locations before shutting down
+const shutdown = async () => {
+  presenceReaper.stop();
+  deliveryRetrier.stop();
+  bookingScheduler.stop();
+  await locationCache.stop();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
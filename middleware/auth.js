@@ -1,18 +1,38 @@
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../services/sessions");
+const { unauthorized, forbidden } = require("../utils/errors");
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Decode a token issued by /login, throws if invalid or expired
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
 
-const authenticate = (req, res, next) => {
+// Decode an access token and check its session was not logged out or
+// revoked. Resolves to the token payload, or null if it must be refused.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) return null;
+  return decoded;
+};
+
+const authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Unauthorized" });
+    if (!token) return next(unauthorized());
   
     try {
-      const decoded = jwt.verify(token,JWT_SECRET); // Replace with your actual secret key
+      const decoded = await verifyAccessToken(token);
+      if (!decoded) return next(forbidden("Invalid token", "invalid_token"));
       req.user = decoded;
       next();
     } catch (error) {
-      return res.status(403).json({ message: "Invalid token" });
+      next(error);
     }
   };
-module.exports = authenticate
\ No newline at end of file
+module.exports = authenticate
+module.exports.verifyToken = verifyToken
+module.exports.verifyAccessToken = verifyAccessToken
\ No newline at end of file
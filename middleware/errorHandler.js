@@ -0,0 +1,25 @@
+const { notFound, toAppError, toErrorPayload } = require("../utils/errors");
+
+// Express 4 does not catch rejected promises, so async handlers are wrapped
+// to pass their errors on to errorHandler
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+const notFoundHandler = (req, res, next) =>
+  next(notFound(`Cannot ${req.method} ${req.path}`, "route_not_found"));
+
+// Every failed request is answered as { error: { code, message, details? } }
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+  }
+  if (appError.retryAfterSeconds) {
+    res.set("Retry-After", String(appError.retryAfterSeconds));
+  }
+  res.status(appError.status).json({ error: toErrorPayload(appError) });
+};
+
+module.exports = { asyncHandler, notFoundHandler, errorHandler };
@@ -0,0 +1,33 @@
+const { tooManyRequests } = require("../utils/errors");
+
+// Fixed-window limit on requests per client IP. Counts are kept in memory,
+// so with several server instances each one enforces the limit on its own.
+const rateLimit = ({ windowMs, max, message = "Too many requests, try again later" }) => {
+  const hits = new Map(); // ip -> { count, resetAt }
+
+  // Forget windows that are over so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, hit] of hits) {
+      if (hit.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let hit = hits.get(req.ip);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, hit);
+    }
+
+    hit.count += 1;
+    if (hit.count > max) {
+      return next(tooManyRequests(message, Math.ceil((hit.resetAt - now) / 1000)));
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
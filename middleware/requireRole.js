@@ -0,0 +1,11 @@
+const { forbidden } = require("../utils/errors");
+
+// Use after `authenticate`: only lets the given user types through
+const requireRole = (...userTypes) => (req, res, next) => {
+  if (!userTypes.includes(req.user?.userType)) {
+    return next(forbidden());
+  }
+  next();
+};
+
+module.exports = requireRole;
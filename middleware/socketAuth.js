@@ -0,0 +1,77 @@
+const { verifyAccessToken } = require("./auth");
+const User = require("../models/User");
+const { currentAmbulanceFor } = require("../services/shifts");
+const { resolveShareLink } = require("../services/shareLinks");
+const { AppError, unauthorized, forbidden, notFound, toErrorPayload } = require("../utils/errors");
+
+// Socket.IO hands `data` to the client's connect_error listener
+const refuse = (error) => Object.assign(error, { data: toErrorPayload(error) });
+
+// Socket.IO handshake middleware. Clients pass the /login token as
+// `auth: { token }` (or an Authorization: Bearer header) and must have one
+// of `allowedTypes`. The identity is bound to `socket.data.user`.
+const socketAuth = (allowedTypes) => async (socket, next) => {
+  const token =
+    socket.handshake.auth?.token ||
+    socket.handshake.headers.authorization?.split(" ")[1];
+  if (!token) return next(refuse(unauthorized()));
+
+  let user;
+  try {
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) return next(refuse(forbidden("Invalid token", "invalid_token")));
+
+    if (!allowedTypes.includes(decoded.userType)) {
+      return next(refuse(forbidden("Not allowed in this namespace")));
+    }
+    user = { userId: decoded.userId, userType: decoded.userType, sessionId: decoded.sid };
+
+    // Deactivation revokes sessions, this also covers accounts deactivated directly in the database
+    const active = await User.exists({ _id: decoded.userId, active: { $ne: false } });
+    if (!active) return next(refuse(forbidden("Account deactivated", "account_inactive")));
+
+    // Drivers act for the ambulance of their current shift (or their own).
+    // It is fixed for the connection, so drivers reconnect when shifts change.
+    if (decoded.userType === "ambulance") {
+      const { ambulance } = await currentAmbulanceFor(decoded.userId);
+      if (!ambulance) {
+        return next(refuse(forbidden("No ambulance assigned to you right now", "no_vehicle")));
+      }
+      user.vehicleId = ambulance.vehicleId;
+    }
+  } catch (error) {
+    console.error("❌ Error authenticating socket:", error);
+    return next(refuse(new AppError(500, "internal_error", "Authentication failed")));
+  }
+
+  socket.data.user = user;
+  next();
+};
+
+// Handshake middleware of the public /track namespace: the share link token
+// is passed as `auth: { token }` and gives read-only access to one request,
+// bound to `socket.data.share`
+const shareLinkAuth = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next(refuse(unauthorized("A share link token is required")));
+
+  try {
+    const link = await resolveShareLink(String(token));
+    if (!link) {
+      const error = notFound("This tracking link is invalid or has expired", "link_expired");
+      return next(refuse(error));
+    }
+    socket.data.share = {
+      id: link._id.toString(),
+      requestId: link.requestId.toString(),
+      expiresAt: link.expiresAt,
+    };
+  } catch (error) {
+    console.error("❌ Error checking share link:", error);
+    return next(refuse(new AppError(500, "internal_error", "Authentication failed")));
+  }
+  next();
+};
+
+module.exports = socketAuth;
+module.exports.shareLinkAuth = shareLinkAuth;
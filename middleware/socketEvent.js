@@ -0,0 +1,27 @@
+const { validate } = require("../utils/validate");
+const { toAppError, toErrorPayload } = require("../utils/errors");
+
+// Register a socket event handler whose payload is validated against
+// `schema`. The client's acknowledgement callback, if it passed one, gets
+// { ok: true, data } or { ok: false, error: { code, message, details? } }.
+const onEvent = (socket, event, schema, handler) => {
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+    try {
+      const payload = schema ? validate(schema, args[0]) : args[0];
+      const data = await handler(payload);
+      ack?.(data === undefined ? { ok: true } : { ok: true, data });
+    } catch (error) {
+      const appError = toAppError(error);
+      if (appError.status >= 500) {
+        console.error(`❌ Error handling ${event} from ${socket.id}:`, error);
+      } else {
+        console.log(`🚫 ${event} from ${socket.id} refused: ${appError.message}`);
+      }
+      ack?.({ ok: false, error: toErrorPayload(appError) });
+    }
+  });
+};
+
+module.exports = onEvent;
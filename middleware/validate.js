@@ -0,0 +1,16 @@
+const { validate } = require("../utils/validate");
+
+// Validate req.params, req.query and req.body against the given schemas and
+// replace them with the cleaned values
+const validateRequest = (schemas) => (req, res, next) => {
+  try {
+    for (const part of ["params", "query", "body"]) {
+      if (schemas[part]) req[part] = validate(schemas[part], req[part]);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,43 @@
+// One-off migration: convert { latitude, longitude } locations stored before
+// the switch to GeoJSON points, then build the 2dsphere indexes.
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Ambulance = require("./models/Ambulance");
+const EmergencyRequest = require("./models/Emergency");
+const { toPoint } = require("./utils/geo");
+
+const migrate = async (Model, field) => {
+  const collection = Model.collection;
+  const legacy = await collection
+    .find({ [`${field}.latitude`]: { $exists: true } })
+    .toArray();
+
+  for (const doc of legacy) {
+    const { latitude, longitude, ...rest } = doc[field];
+    const update =
+      latitude == null || longitude == null
+        ? { $unset: { [field]: "" } }
+        : { $set: { [field]: { ...toPoint(latitude, longitude), ...rest } } };
+
+    await collection.updateOne({ _id: doc._id }, update);
+  }
+
+  // Leftover objects without coordinates would break the 2dsphere index
+  await collection.updateMany(
+    { [field]: { $exists: true }, [`${field}.coordinates`]: { $exists: false } },
+    { $unset: { [field]: "" } }
+  );
+
+  await Model.syncIndexes();
+  console.log(`✅ Migrated ${legacy.length} ${Model.modelName} location(s)`);
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(async () => {
+    await migrate(Ambulance, "currentLocation");
+    await migrate(EmergencyRequest, "location");
+  })
+  .catch((err) => console.error("❌ Migration failed:", err))
+  .finally(() => mongoose.disconnect());
@@ -1,15 +1,54 @@
 const mongoose = require("mongoose");
+const AmbulanceStatusEvent = require("./AmbulanceStatusEvent");
 
 const AmbulanceSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Owner-driver. Fleet vehicles belong to an organization instead and are
+  // driven by whoever has the current shift.
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function () { return !this.organizationId; } },
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
   vehicleId: { type: String, required: true, unique: true },
   vehicleType: { type: String, enum: ["basic", "advanced", "critical"], default: "basic" },
+  // GeoJSON point, only set once the driver has sent a location
   currentLocation: {
-    latitude: { type: Number, default: null },
-    longitude: { type: Number, default: null },
-    lastUpdated: { type: Date, default: null }
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+    lastUpdated: { type: Date }
   },
-  status: { type: String, enum: ["available", "on_route", "with_patient", "at_hospital", "offline"], default: "offline" }
+  status: { type: String, enum: ["available", "on_route", "with_patient", "at_hospital", "offline"], default: "offline" },
+  lastSeenAt: { type: Date }, // last heartbeat or connection from the driver app
+  // Onboarding: an admin checks the driver's licence and the vehicle before
+  // it may go on duty. Ambulances registered before this have no status and
+  // are treated as approved.
+  registrationNumber: { type: String, unique: true, sparse: true }, // normalized licence plate
+  licenseNumber: { type: String },
+  verificationStatus: { type: String, enum: ["pending_verification", "approved", "rejected"] },
+  verificationSubmittedAt: { type: Date },
+  verifiedAt: { type: Date },
+  verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectionReason: { type: String }
+});
+
+AmbulanceSchema.index({ currentLocation: "2dsphere" });
+AmbulanceSchema.index({ organizationId: 1 });
+
+// Log every status change made through a query so utilization can be
+// reported later. Status updates should go through findOneAndUpdate or
+// updateOne with the vehicleId in the filter.
+const statusFromUpdate = (update) => update?.$set?.status ?? update?.status;
+
+AmbulanceSchema.post("findOneAndUpdate", async function (ambulance) {
+  const status = statusFromUpdate(this.getUpdate());
+  if (!status || !ambulance) return;
+
+  await AmbulanceStatusEvent.create({ vehicleId: ambulance.vehicleId, status });
+});
+
+AmbulanceSchema.post("updateOne", async function (result) {
+  const status = statusFromUpdate(this.getUpdate());
+  const { vehicleId } = this.getFilter();
+  if (!status || typeof vehicleId !== "string" || !result.matchedCount) return;
+
+  await AmbulanceStatusEvent.create({ vehicleId, status });
 });
 
 const Ambulance = mongoose.model("Ambulance", AmbulanceSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Append-only log of ambulance status changes, used for utilization reports
+const AmbulanceStatusEventSchema = new mongoose.Schema({
+  vehicleId: { type: String, required: true },
+  status: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+});
+
+AmbulanceStatusEventSchema.index({ vehicleId: 1, at: 1 });
+
+const AmbulanceStatusEvent = mongoose.model("AmbulanceStatusEvent", AmbulanceStatusEventSchema);
+
+module.exports = AmbulanceStatusEvent
\ No newline at end of file
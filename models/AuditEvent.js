@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Who changed what, when and from where. Kept for regulatory purposes, so
+// events are only ever added: updates and deletes are refused.
+const AuditEventSchema = new mongoose.Schema({
+  action: { type: String, required: true }, // e.g. "request.status_changed"
+  entityType: {
+    type: String,
+    required: true,
+    enum: [
+      "EmergencyRequest", "Ambulance", "User", "Hospital", "Organization", "Shift", "ShareLink",
+      "Incident", "Booking", "BookingSchedule"
+    ]
+  },
+  entityId: { type: String }, // document id, or vehicleId for ambulances
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorRole: { type: String }, // user type, or "system" for automatic changes
+  vehicleId: { type: String }, // the ambulance a driver was acting for
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  reason: { type: String },
+  ip: { type: String },
+  socketId: { type: String },
+  at: { type: Date, default: Date.now }
+});
+
+AuditEventSchema.index({ entityType: 1, entityId: 1, at: -1 });
+AuditEventSchema.index({ actorId: 1, at: -1 });
+AuditEventSchema.index({ action: 1, at: -1 });
+AuditEventSchema.index({ at: -1 });
+
+const appendOnly = () => {
+  throw new Error("Audit events cannot be changed or removed");
+};
+AuditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  appendOnly
+);
+AuditEventSchema.pre("save", function () {
+  if (!this.isNew) appendOnly();
+});
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+
+module.exports = AuditEvent
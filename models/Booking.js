@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// A planned, non-emergency patient transport, e.g. to dialysis, home after a
+// discharge or between hospitals. Shortly before pickup it is converted into
+// an ordinary request and runs like any other trip.
+const BookingSchema = new mongoose.Schema({
+  requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  patientName: { type: String },
+  patientPhone: { type: String },
+  transportType: {
+    type: String,
+    enum: ["dialysis", "discharge", "inter_hospital", "appointment", "other"],
+    default: "other"
+  },
+  // GeoJSON points of the pickup and drop-off
+  pickup: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  dropoff: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  dropoffHospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital' },
+  // The crew should pick the patient up within this window
+  windowStart: { type: Date, required: true },
+  windowEnd: { type: Date, required: true },
+  // End of the window plus the expected trip; the ambulance is busy until then
+  busyUntil: { type: Date, required: true },
+  vehicleType: { type: String, enum: ["basic", "advanced", "critical"], default: "basic" },
+  notes: { type: String },
+  vehicleId: { type: String, default: null }, // pre-assigned ambulance
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingSchedule' },
+  status: {
+    type: String,
+    enum: ["scheduled", "converted", "cancelled", "failed"],
+    default: "scheduled"
+  },
+  remindersSent: { type: [Number], default: [] }, // minutes before pickup
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest' }, // once converted
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  convertedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String },
+  failureReason: { type: String }
+});
+
+BookingSchema.index({ status: 1, windowStart: 1 });
+BookingSchema.index({ vehicleId: 1, status: 1, windowStart: 1 });
+BookingSchema.index({ requesterId: 1, windowStart: -1 });
+// One booking per occurrence of a recurring schedule
+BookingSchema.index(
+  { scheduleId: 1, windowStart: 1 },
+  { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+);
+
+const Booking = mongoose.model("Booking", BookingSchema);
+
+module.exports = Booking
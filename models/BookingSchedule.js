@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Recurring transport, e.g. dialysis every Monday, Wednesday and Friday at
+// 08:00. Its bookings are created a couple of weeks ahead and can then be
+// assigned or cancelled one by one.
+const BookingScheduleSchema = new mongoose.Schema({
+  requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  patientName: { type: String },
+  patientPhone: { type: String },
+  transportType: {
+    type: String,
+    enum: ["dialysis", "discharge", "inter_hospital", "appointment", "other"],
+    default: "other"
+  },
+  // GeoJSON points of the pickup and drop-off
+  pickup: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  dropoff: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  dropoffHospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital' },
+  vehicleType: { type: String, enum: ["basic", "advanced", "critical"], default: "basic" },
+  notes: { type: String },
+  vehicleId: { type: String, default: null }, // preferred ambulance, assigned when free
+  daysOfWeek: { type: [Number], required: true }, // 0 = Sunday
+  pickupTime: { type: String, required: true }, // "HH:MM", local to timeZone
+  windowMinutes: { type: Number, default: 30 },
+  timeZone: { type: String, default: "UTC" }, // IANA name, e.g. "Asia/Kolkata"
+  startsOn: { type: Date, required: true },
+  endsOn: { type: Date },
+  generatedUntil: { type: Date }, // bookings exist for occurrences up to here
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  cancelledAt: { type: Date, default: null }
+});
+
+BookingScheduleSchema.index({ cancelledAt: 1, generatedUntil: 1 });
+BookingScheduleSchema.index({ requesterId: 1 });
+
+const BookingSchedule = mongoose.model("BookingSchedule", BookingScheduleSchema);
+
+module.exports = BookingSchedule
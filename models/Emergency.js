@@ -1,20 +1,90 @@
 const mongoose = require("mongoose");
+
+// One entry per status change, for auditing and response-time reporting.
+// Crew changes are recorded too, with an `action` and often the same status.
+const StatusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  role: { type: String },
+  vehicleId: { type: String },
+  action: { type: String, enum: ["declined", "abandoned", "transferred", "reassigned"] },
+  reason: { type: String },
+  note: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Intake questionnaire answered by the caller, with the server's assessment
+const TriageSchema = new mongoose.Schema({
+  conscious: { type: Boolean },
+  breathing: { type: String, enum: ["normal", "difficult", "none"] },
+  bleeding: { type: String, enum: ["none", "minor", "severe"] },
+  complaint: {
+    type: String,
+    enum: [
+      "cardiac", "stroke", "respiratory", "trauma", "allergic", "seizure",
+      "obstetric", "poisoning", "burns", "abdominal", "other"
+    ]
+  }, // chief complaint category
+  ageRange: { type: String, enum: ["infant", "child", "adult", "elderly"] },
+  conditions: { type: [String], default: [] }, // known conditions, e.g. diabetes
+  allergies: { type: [String], default: [] },
+  score: { type: Number },
+  redFlags: { type: [String], default: [] },
+  recommendedCriticalLevel: { type: String }
+}, { _id: false });
+
+// Where a planned transport takes the patient
+const DropoffSchema = new mongoose.Schema({
+  type: { type: String, enum: ["Point"], default: "Point" },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: (coordinates) => coordinates.length === 2
+  }, // [longitude, latitude]
+  address: { type: String }
+}, { _id: false });
+
 const EmergencyRequestSchema = new mongoose.Schema({
   requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // GeoJSON point of the patient
   location: {
-    latitude: { type: Number, required: true },
-    longitude: { type: Number, required: true },
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
     address: { type: String }
   },
   ambulanceId: { type: String },
-  status: { type: String, enum: ["pending", "accepted", "in_progress", "completed", "cancelled"], default: "pending" },
+  status: { type: String, enum: ["pending", "accepted", "arrived", "in_progress", "completed", "cancelled"], default: "pending" },
   emergencyDetails: { type: String },
   patientCount: { type: Number, default: 1 },
   criticalLevel: { type: String, enum: ["low", "medium", "high", "critical"], default: "medium" },
+  // What the caller picked, when triage answers overrode it
+  reportedCriticalLevel: { type: String },
+  requiredVehicleType: { type: String, enum: ["basic", "advanced", "critical"] },
+  triage: { type: TriageSchema, default: undefined },
   createdAt: { type: Date, default: Date.now },
-  completedAt: { type: Date }
+  acceptedAt: { type: Date },
+  arrivedAt: { type: Date },
+  pickedUpAt: { type: Date },
+  completedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String },
+  destinationHospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital' },
+  hospitalAlertedAt: { type: Date },
+  // Set on requests converted from a planned transport booking
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  dropoff: { type: DropoffSchema, default: undefined },
+  // Set when an admin escalated the request into a mass-casualty incident
+  incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' },
+  statusHistory: { type: [StatusChangeSchema], default: [] }
 });
 
+EmergencyRequestSchema.index({ location: "2dsphere" });
+
 const EmergencyRequest = mongoose.model("EmergencyRequest", EmergencyRequestSchema);
 
 module.exports = EmergencyRequest
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const CapacitySchema = new mongoose.Schema({
+  total: { type: Number, default: 0, min: 0 },
+  available: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const HospitalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  name: { type: String, required: true },
+  phone: { type: String },
+  // GeoJSON point of the emergency entrance
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  specialties: { type: [String], default: [] },
+  capacity: {
+    beds: { type: CapacitySchema, default: () => ({}) },
+    icu: { type: CapacitySchema, default: () => ({}) },
+    trauma: { type: CapacitySchema, default: () => ({}) }
+  },
+  acceptingPatients: { type: Boolean, default: true },
+  capacityUpdatedAt: { type: Date, default: null }
+});
+
+HospitalSchema.index({ location: "2dsphere" });
+
+const Hospital = mongoose.model("Hospital", HospitalSchema);
+
+module.exports = Hospital
\ No newline at end of file
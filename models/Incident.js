@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// One ambulance an incident needs. It is open until a crew accepts it, then
+// follows that crew's progress independently of the other units.
+const UnitSchema = new mongoose.Schema({
+  // Least equipped ambulance that may fill it
+  vehicleType: { type: String, enum: ["basic", "advanced", "critical"], default: "basic" },
+  vehicleId: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ["open", "accepted", "arrived", "in_progress", "completed", "released"],
+    default: "open"
+  }, // released: still on scene when the incident was closed
+  // Set on the unit of the crew already running the escalated request, whose
+  // status follows that request
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest' },
+  acceptedAt: { type: Date },
+  arrivedAt: { type: Date },
+  pickedUpAt: { type: Date },
+  completedAt: { type: Date }
+});
+
+// A mass-casualty event, e.g. a road accident or a fire, that needs several
+// ambulances at the same scene
+const IncidentSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String },
+  // GeoJSON point of the scene
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: (coordinates) => coordinates.length === 2
+    }, // [longitude, latitude]
+    address: { type: String }
+  },
+  status: { type: String, enum: ["active", "closed"], default: "active" },
+  units: { type: [UnitSchema], default: [] },
+  // The ordinary request it was escalated from, if any
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  closedAt: { type: Date },
+  closedReason: { type: String }
+});
+
+IncidentSchema.index({ location: "2dsphere" });
+IncidentSchema.index({ status: 1, createdAt: -1 });
+IncidentSchema.index({ "units.vehicleId": 1 });
+
+const Incident = mongoose.model("Incident", IncidentSchema);
+
+module.exports = Incident
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// One position report from an ambulance, tagged with the request it was serving
+const LocationPointSchema = new mongoose.Schema({
+  vehicleId: { type: String, required: true },
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest', default: null },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true } // [longitude, latitude]
+  },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+LocationPointSchema.index({ vehicleId: 1, recordedAt: 1 });
+LocationPointSchema.index({ requestId: 1, recordedAt: 1 });
+
+const LocationPoint = mongoose.model("LocationPoint", LocationPointSchema);
+
+module.exports = LocationPoint
\ No newline at end of file
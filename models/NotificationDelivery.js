@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One message to one recipient on one channel. Failed sends stay pending and
+// are retried with a growing delay until they are sent or give up.
+const NotificationDeliverySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // none for emergency contacts
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest' },
+  channel: { type: String, enum: ["email", "sms", "push"], required: true },
+  to: { type: String, required: true },
+  template: { type: String, required: true },
+  subject: { type: String },
+  text: { type: String, required: true },
+  status: { type: String, enum: ["pending", "sent", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date, default: Date.now },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationDeliverySchema.index({ requestId: 1 });
+NotificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model("NotificationDelivery", NotificationDeliverySchema);
+
+module.exports = NotificationDelivery
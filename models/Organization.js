@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A fleet operator, e.g. a private ambulance company. It owns ambulances and
+// employs drivers who are given vehicles per shift.
+const OrganizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  contactEmail: { type: String },
+  phone: { type: String },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Organization = mongoose.model("Organization", OrganizationSchema);
+
+module.exports = Organization
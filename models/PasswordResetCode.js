@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// One-time code sent to a user who forgot their password. Only the hash is stored.
+const PasswordResetCodeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // wrong guesses so far
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+PasswordResetCodeSchema.index({ userId: 1, expiresAt: -1 });
+PasswordResetCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetCode = mongoose.model("PasswordResetCode", PasswordResetCodeSchema);
+
+module.exports = PasswordResetCode
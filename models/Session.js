@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// One login. The refresh token is rotated on every use and only its hash is
+// stored; access tokens carry the session id so revoking it logs them out.
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB drops sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", SessionSchema);
+
+module.exports = Session
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Public link to follow one emergency request live without an account, e.g.
+// sent to family members. Only the hash of the token is stored.
+const ShareLinkSchema = new mongoose.Schema({
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyRequest', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  label: { type: String }, // who it was shared with, e.g. "Family"
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String } // revoked, completed or cancelled
+});
+
+ShareLinkSchema.index({ requestId: 1, revokedAt: 1 });
+// MongoDB drops links once they have expired
+ShareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ShareLink = mongoose.model("ShareLink", ShareLinkSchema);
+
+module.exports = ShareLink
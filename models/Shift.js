@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A driver assigned to one of their organization's vehicles for a period
+const ShiftSchema = new mongoose.Schema({
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  vehicleId: { type: String, required: true },
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date, default: null }
+});
+
+ShiftSchema.index({ driverId: 1, startsAt: 1, endsAt: 1 });
+ShiftSchema.index({ vehicleId: 1, startsAt: 1, endsAt: 1 });
+ShiftSchema.index({ organizationId: 1, startsAt: 1 });
+
+const Shift = mongoose.model("Shift", ShiftSchema);
+
+module.exports = Shift
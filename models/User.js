@@ -1,13 +1,32 @@
 const mongoose = require("mongoose");
 
+// Someone to alert by SMS when the user calls an ambulance
+const EmergencyContactSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  phone: { type: String, required: true },
+  relation: { type: String }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, unique: true, required: true },
   number: { type: String, unique: true, required: true },
   password: { type: String, required: true },
-  userType: { type: String, enum: ["ambulance", "client", "admin", "hospital"], default: "client" },
+  userType: { type: String, enum: ["ambulance", "client", "admin", "hospital", "operator"], default: "client" },
+  // Fleet operator a driver works for, or an operator manager belongs to
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
   lastLogin: { type: Date, default: null },
-  status: { type: String, enum: ["online", "offline", "busy"], default: "offline" }
+  status: { type: String, enum: ["online", "offline", "busy"], default: "offline" },
+  // Deactivated accounts cannot log in or connect sockets
+  active: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  // Login lockout after repeated wrong passwords
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
+  emergencyContacts: { type: [EmergencyContactSchema], default: [] },
+  // Push notification tokens of the user's devices
+  deviceTokens: { type: [String], default: [] }
 });
 
 const User = mongoose.model("User", UserSchema);
@@ -0,0 +1,459 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const Organization = require("../models/Organization");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const AuditEvent = require("../models/AuditEvent");
+const { formatAmbulanceLocation } = require("../services/ambulanceSearch");
+const { disconnectUser } = require("../services/realtime");
+const { revokeUserSessions } = require("../services/sessions");
+const { reviewAmbulance } = require("../services/driverOnboarding");
+const { currentAmbulanceFor } = require("../services/shifts");
+const { findTrack, sendTrack } = require("../services/locationHistory");
+const { audit, actorOf } = require("../services/audit");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+const { fromPoint } = require("../utils/geo");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+const schemas = require("../schemas/admin");
+const { adminCreateUser } = require("../schemas/account");
+
+const { ACTIVE_STATUSES } = require("../services/requestLifecycle");
+
+// `assignAmbulance` and `forceAmbulanceOffline` live next to the in-memory
+// dispatch state in index.js, which they have to keep in sync
+const createAdminRouter = ({ assignAmbulance, forceAmbulanceOffline }) => {
+  const router = express.Router();
+
+  router.use(authenticate, requireRole("admin"));
+
+  // Users
+
+  router.get(
+    "/users",
+    validateRequest({ query: schemas.usersQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.userType?.length) filter.userType = { $in: req.query.userType };
+      if (req.query.active !== undefined) filter.active = req.query.active;
+      if (req.query.search) {
+        const pattern = new RegExp(
+          req.query.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+        filter.$or = [{ name: pattern }, { email: pattern }, { number: pattern }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select("-password")
+          .sort({ _id: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({ users, pagination: paginationInfo(pagination, total) });
+    })
+  );
+
+  // Admin, hospital and operator accounts cannot be self-registered, they are
+  // created here. Drivers register themselves (or via their operator) so their
+  // vehicle gets verified.
+  router.post(
+    "/users",
+    validateRequest({ body: adminCreateUser }),
+    asyncHandler(async (req, res) => {
+      const { name, email, number, password, userType, organizationId } = req.body;
+      if (userType === "operator" && !(await Organization.exists({ _id: organizationId }))) {
+        throw badRequest("Operators need an existing organizationId", "organization_required");
+      }
+      if (await User.exists({ $or: [{ email }, { number }] })) {
+        throw conflict("User already exists", "user_exists");
+      }
+
+      const user = await User.create({
+        name,
+        email,
+        number,
+        password: await bcrypt.hash(password, 10),
+        userType,
+        organizationId: userType === "operator" ? organizationId : null,
+      });
+
+      audit({
+        actor: actorOf(req),
+        action: "user.created",
+        entityType: "User",
+        entityId: user._id,
+        after: { email, userType, organizationId: user.organizationId },
+      });
+      console.log(`👤 ${userType} account ${email} created by admin ${req.user.userId}`);
+      res.status(201).json({
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          number: user.number,
+          userType: user.userType,
+          organizationId: user.organizationId,
+        },
+      });
+    })
+  );
+
+  router.post(
+    "/users/:userId/deactivate",
+    validateRequest({ params: schemas.userParams }),
+    asyncHandler(async (req, res) => {
+      if (req.params.userId === req.user.userId) {
+        throw badRequest("You cannot deactivate yourself");
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.params.userId,
+        { active: false, deactivatedAt: new Date() },
+        { new: true }
+      ).select("-password");
+      if (!user) throw notFound("User not found");
+
+      // A deactivated driver's ambulance cannot stay on the map
+      if (user.userType === "ambulance") {
+        const { ambulance } = await currentAmbulanceFor(user._id);
+        if (ambulance) await forceAmbulanceOffline(ambulance.vehicleId, actorOf(req));
+      }
+      await revokeUserSessions(user._id, "deactivated");
+      await disconnectUser(user._id);
+      audit({
+        actor: actorOf(req),
+        action: "user.deactivated",
+        entityType: "User",
+        entityId: user._id,
+        after: { active: false },
+      });
+
+      console.log(`🚫 User ${user.email} deactivated by admin ${req.user.userId}`);
+      res.json({ message: "User deactivated", user });
+    })
+  );
+
+  router.post(
+    "/users/:userId/activate",
+    validateRequest({ params: schemas.userParams }),
+    asyncHandler(async (req, res) => {
+      const user = await User.findByIdAndUpdate(
+        req.params.userId,
+        { active: true, deactivatedAt: null },
+        { new: true }
+      ).select("-password");
+      if (!user) throw notFound("User not found");
+
+      audit({
+        actor: actorOf(req),
+        action: "user.activated",
+        entityType: "User",
+        entityId: user._id,
+        after: { active: true },
+      });
+      res.json({ message: "User activated", user });
+    })
+  );
+
+  // Fleet operators
+
+  router.get(
+    "/organizations",
+    asyncHandler(async (req, res) => {
+      const organizations = await Organization.find().sort({ name: 1 }).lean();
+      res.json({ organizations });
+    })
+  );
+
+  router.post(
+    "/organizations",
+    validateRequest({ body: schemas.createOrganization }),
+    asyncHandler(async (req, res) => {
+      const { name, contactEmail, phone } = req.body;
+      if (await Organization.exists({ name })) {
+        throw conflict("Organization already exists", "organization_exists");
+      }
+
+      const organization = await Organization.create({ name, contactEmail, phone });
+      audit({
+        actor: actorOf(req),
+        action: "organization.created",
+        entityType: "Organization",
+        entityId: organization._id,
+        after: { name, contactEmail, phone },
+      });
+      res.status(201).json({ organization });
+    })
+  );
+
+  // Ambulances
+
+  router.get(
+    "/ambulances",
+    validateRequest({ query: schemas.ambulancesQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.status?.length) filter.status = { $in: req.query.status };
+      if (req.query.vehicleType?.length) filter.vehicleType = { $in: req.query.vehicleType };
+      if (req.query.organizationId) filter.organizationId = req.query.organizationId;
+      if (req.query.verificationStatus?.length) {
+        filter.verificationStatus = { $in: req.query.verificationStatus };
+      }
+
+      const [ambulances, total] = await Promise.all([
+        Ambulance.find(filter)
+          .populate("userId", "name email number active")
+          .sort({ vehicleId: 1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        Ambulance.countDocuments(filter),
+      ]);
+
+      res.json({
+        ambulances: ambulances.map((ambulance) => ({
+          ...ambulance,
+          currentLocation: formatAmbulanceLocation(ambulance),
+        })),
+        pagination: paginationInfo(pagination, total),
+      });
+    })
+  );
+
+  router.patch(
+    "/ambulances/:vehicleId",
+    validateRequest({ params: schemas.vehicleParams, body: schemas.updateAmbulance }),
+    asyncHandler(async (req, res) => {
+      const previous = await Ambulance.findOneAndUpdate(
+        { vehicleId: req.params.vehicleId },
+        { vehicleType: req.body.vehicleType }
+      ).lean();
+      if (!previous) throw notFound("Ambulance not found");
+
+      audit({
+        actor: actorOf(req),
+        action: "ambulance.updated",
+        entityType: "Ambulance",
+        entityId: previous.vehicleId,
+        before: { vehicleType: previous.vehicleType },
+        after: { vehicleType: req.body.vehicleType },
+      });
+      res.json({ ambulance: { ...previous, vehicleType: req.body.vehicleType } });
+    })
+  );
+
+  // Approve or reject an ambulance waiting for verification
+  router.post(
+    "/ambulances/:vehicleId/approve",
+    validateRequest({ params: schemas.vehicleParams }),
+    asyncHandler(async (req, res) => {
+      const ambulance = await reviewAmbulance(req.params.vehicleId, req.user.userId, {
+        approved: true,
+      });
+      audit({
+        actor: actorOf(req),
+        action: "ambulance.approved",
+        entityType: "Ambulance",
+        entityId: ambulance.vehicleId,
+        before: { verificationStatus: "pending_verification" },
+        after: { verificationStatus: "approved" },
+      });
+      res.json({ message: "Ambulance approved", ambulance });
+    })
+  );
+
+  router.post(
+    "/ambulances/:vehicleId/reject",
+    validateRequest({ params: schemas.vehicleParams, body: schemas.rejectAmbulance }),
+    asyncHandler(async (req, res) => {
+      const ambulance = await reviewAmbulance(req.params.vehicleId, req.user.userId, {
+        approved: false,
+        reason: req.body.reason,
+      });
+      audit({
+        actor: actorOf(req),
+        action: "ambulance.rejected",
+        entityType: "Ambulance",
+        entityId: ambulance.vehicleId,
+        before: { verificationStatus: "pending_verification" },
+        after: { verificationStatus: "rejected" },
+        reason: req.body.reason,
+      });
+      res.json({ message: "Ambulance rejected", ambulance });
+    })
+  );
+
+  router.post(
+    "/ambulances/:vehicleId/offline",
+    validateRequest({ params: schemas.vehicleParams }),
+    asyncHandler(async (req, res) => {
+      const ambulance = await forceAmbulanceOffline(req.params.vehicleId, actorOf(req));
+      if (!ambulance) throw notFound("Ambulance not found");
+
+      // Forcing offline does not free its request, the supervisor should reassign it
+      const activeRequest = await EmergencyRequest.findOne({
+        ambulanceId: ambulance.vehicleId,
+        status: { $in: ACTIVE_STATUSES },
+      })
+        .select("_id status")
+        .lean();
+
+      res.json({ message: "Ambulance set offline", ambulance, activeRequest });
+    })
+  );
+
+  // Position history of one ambulance: ?from=&to= (defaults to the last 24 hours),
+  // JSON, ?format=geojson or ?format=gpx
+  router.get(
+    "/ambulances/:vehicleId/history",
+    validateRequest({ params: schemas.vehicleParams, query: schemas.historyQuery }),
+    asyncHandler(async (req, res) => {
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+      const { vehicleId } = req.params;
+      const points = await findTrack({ vehicleId, recordedAt: { $gte: from, $lte: to } });
+      sendTrack(res, req.query.format, points, {
+        name: `${vehicleId}-${from.toISOString().slice(0, 10)}`,
+        vehicleId,
+        from,
+        to,
+      });
+    })
+  );
+
+  // Emergency requests
+
+  router.get(
+    "/requests",
+    validateRequest({ query: schemas.requestsQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.status?.length) filter.status = { $in: req.query.status };
+      if (req.query.criticalLevel?.length) {
+        filter.criticalLevel = { $in: req.query.criticalLevel };
+      }
+      if (req.query.vehicleId) filter.ambulanceId = req.query.vehicleId;
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = req.query.from;
+        if (req.query.to) filter.createdAt.$lte = req.query.to;
+      }
+
+      const [requests, total] = await Promise.all([
+        EmergencyRequest.find(filter)
+          .populate("requesterId", "name number")
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        EmergencyRequest.countDocuments(filter),
+      ]);
+
+      res.json({
+        requests: requests.map((request) => ({
+          ...request,
+          location: fromPoint(request.location),
+        })),
+        pagination: paginationInfo(pagination, total),
+      });
+    })
+  );
+
+  // Assign a pending request, or move an accepted one to another ambulance
+  router.post(
+    "/requests/:requestId/assign",
+    validateRequest({ params: schemas.requestParams, body: schemas.assignRequest }),
+    asyncHandler(async (req, res) => {
+      const request = await assignAmbulance(
+        req.params.requestId,
+        req.body.vehicleId,
+        actorOf(req),
+        { reason: req.body.reason }
+      );
+
+      const assigned = request.toObject();
+      res.json({
+        message: "Ambulance assigned",
+        request: { ...assigned, location: fromPoint(assigned.location) },
+      });
+    })
+  );
+
+  // Notifications: what was sent to whom, and what keeps failing
+
+  router.get(
+    "/notifications",
+    validateRequest({ query: schemas.notificationsQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.status?.length) filter.status = { $in: req.query.status };
+      if (req.query.channel?.length) filter.channel = { $in: req.query.channel };
+      if (req.query.requestId) filter.requestId = req.query.requestId;
+      if (req.query.userId) filter.userId = req.query.userId;
+
+      const [notifications, total] = await Promise.all([
+        NotificationDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        NotificationDelivery.countDocuments(filter),
+      ]);
+
+      res.json({ notifications, pagination: paginationInfo(pagination, total) });
+    })
+  );
+
+  // Audit log: who changed what. ?entityType=&entityId= for one record's
+  // history, ?actorId= for what someone did, ?from=&to= for a time range.
+
+  router.get(
+    "/audit",
+    validateRequest({ query: schemas.auditQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.entityType) filter.entityType = req.query.entityType;
+      if (req.query.entityId) filter.entityId = req.query.entityId;
+      if (req.query.actorId) filter.actorId = req.query.actorId;
+      if (req.query.actorRole?.length) filter.actorRole = { $in: req.query.actorRole };
+      if (req.query.action?.length) filter.action = { $in: req.query.action };
+      if (req.query.from || req.query.to) {
+        filter.at = {};
+        if (req.query.from) filter.at.$gte = req.query.from;
+        if (req.query.to) filter.at.$lte = req.query.to;
+      }
+
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .sort({ at: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        AuditEvent.countDocuments(filter),
+      ]);
+
+      res.json({ events, pagination: paginationInfo(pagination, total) });
+    })
+  );
+
+  return router;
+};
+
+module.exports = createAdminRouter;
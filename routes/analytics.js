@@ -0,0 +1,89 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const analytics = require("../services/analytics");
+const { toCsv } = require("../utils/csv");
+const { badRequest } = require("../utils/errors");
+const { reportQuery } = require("../schemas/admin");
+
+const router = express.Router();
+
+router.use(authenticate, requireRole("admin"), validateRequest({ query: reportQuery }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report range from ?month=YYYY-MM, or ?from=&to= (defaults to the last 30 days)
+const parseRange = (query) => {
+  if (query.month) {
+    const from = new Date(`${query.month}-01T00:00:00.000Z`);
+    const to = new Date(from);
+    to.setUTCMonth(to.getUTCMonth() + 1);
+    return { from, to: new Date(to.getTime() - 1) };
+  }
+
+  const to = query.to || new Date();
+  const from = query.from || new Date(to.getTime() - 30 * DAY_MS);
+  if (from > to) throw badRequest("from must be before to", "invalid_range");
+  return { from, to };
+};
+
+// Every report answers JSON by default and CSV with ?format=csv
+const report = (name, build, toRows = (data) => data) =>
+  asyncHandler(async (req, res) => {
+    const range = parseRange(req.query);
+    const data = await build({ ...range, query: req.query });
+
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="${name}-${range.from.toISOString().slice(0, 10)}.csv"`
+      );
+      return res.send(toCsv(toRows(data)));
+    }
+
+    res.json({ from: range.from, to: range.to, [name]: data });
+  });
+
+// ?groupBy=criticalLevel (default) or day
+router.get(
+  "/response-times",
+  report("responseTimes", ({ from, to, query }) =>
+    analytics.responseTimes({
+      from,
+      to,
+      groupBy: query.groupBy || "criticalLevel",
+    })
+  )
+);
+
+router.get(
+  "/utilization",
+  report("utilization", ({ from, to }) => analytics.utilization({ from, to }))
+);
+
+router.get(
+  "/cancellations",
+  report(
+    "cancellations",
+    ({ from, to }) => analytics.cancellations({ from, to }),
+    (data) => [{ criticalLevel: "all", ...data.overall }, ...data.byCriticalLevel]
+  )
+);
+
+// ?cellSize= grid size in degrees (0.01 is roughly 1 km)
+router.get(
+  "/heatmap",
+  report("heatmap", ({ from, to, query }) =>
+    analytics.heatmap({
+      from,
+      to,
+      cellSize: query.cellSize || 0.01,
+    })
+  )
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const rateLimit = require("../middleware/rateLimit");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+const {
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/sessions");
+const { requestPasswordReset, resetPassword } = require("../services/accountSecurity");
+const { disconnectUser, disconnectSession } = require("../services/realtime");
+const { audit, actorOf } = require("../services/audit");
+const { badRequest, unauthorized } = require("../utils/errors");
+const schemas = require("../schemas/account");
+
+const router = express.Router();
+
+const resetLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+});
+
+// Exchange a refresh token for a new access token and refresh token. The
+// old refresh token stops working.
+router.post(
+  "/refresh",
+  validateRequest({ body: schemas.refresh }),
+  asyncHandler(async (req, res) => {
+    const tokens = await refreshSession(req.body.refreshToken, (userId) =>
+      User.findOne({ _id: userId, active: { $ne: false } })
+    );
+    if (!tokens) throw unauthorized("Invalid or expired refresh token", "invalid_refresh_token");
+
+    res.json(tokens);
+  })
+);
+
+// End this session, or every session of the user with { all: true }
+router.post(
+  "/logout",
+  authenticate,
+  validateRequest({ body: schemas.logout }),
+  asyncHandler(async (req, res) => {
+    if (req.body.all) {
+      await revokeUserSessions(req.user.userId, "logout");
+      await disconnectUser(req.user.userId);
+    } else {
+      await revokeSession(req.user.sid);
+      await disconnectSession(req.user.sid);
+    }
+    audit({
+      actor: actorOf(req),
+      action: "user.logged_out",
+      entityType: "User",
+      entityId: req.user.userId,
+      after: { allSessions: Boolean(req.body.all) },
+    });
+    res.json({ message: "Logged out" });
+  })
+);
+
+router.post(
+  "/password-reset/request",
+  resetLimit,
+  validateRequest({ body: schemas.passwordResetRequest }),
+  asyncHandler(async (req, res) => {
+    await requestPasswordReset(req.body.email, actorOf(req));
+    // Same answer whether or not the account exists
+    res.json({ message: "If the account exists a reset code has been sent" });
+  })
+);
+
+router.post(
+  "/password-reset/confirm",
+  resetLimit,
+  validateRequest({ body: schemas.passwordResetConfirm }),
+  asyncHandler(async (req, res) => {
+    const { email, code, newPassword } = req.body;
+    if (!(await resetPassword(email, code, newPassword, actorOf(req)))) {
+      throw badRequest("Invalid or expired code", "invalid_reset_code");
+    }
+    res.json({ message: "Password updated, please log in again" });
+  })
+);
+
+module.exports = router;
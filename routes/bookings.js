@@ -0,0 +1,204 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const Booking = require("../models/Booking");
+const BookingSchedule = require("../models/BookingSchedule");
+const {
+  createBooking,
+  assignBooking,
+  unassignBooking,
+  cancelBooking,
+  createSchedule,
+  cancelSchedule,
+  formatBooking,
+  formatSchedule,
+} = require("../services/bookings");
+const { actorOf } = require("../services/audit");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+const { forbidden, notFound } = require("../utils/errors");
+const schemas = require("../schemas/booking");
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Patients (or their carers), hospitals and dispatch admins book transports
+const canBook = requireRole("client", "hospital", "admin");
+// Admins assign any ambulance, fleet operators their own
+const canAssign = requireRole("admin", "operator");
+
+const organizationOf = async (req) => {
+  if (req.user.userType !== "operator") return undefined;
+
+  const user = await User.findById(req.user.userId).select("organizationId").lean();
+  if (!user?.organizationId) {
+    throw forbidden("Your account is not linked to an organization", "no_organization");
+  }
+  return user.organizationId;
+};
+
+// Admins see every booking, operators those assigned to their fleet,
+// everyone else their own
+const visibleFilter = async (req) => {
+  if (req.user.userType === "admin") return {};
+  if (req.user.userType === "operator") {
+    const organizationId = await organizationOf(req);
+    const fleet = await Ambulance.distinct("vehicleId", { organizationId });
+    return { vehicleId: { $in: fleet } };
+  }
+  return { requesterId: req.user.userId };
+};
+
+// Only admins choose the ambulance when booking
+const checkBookingInput = (req) => {
+  if (req.body.vehicleId && req.user.userType !== "admin") {
+    throw forbidden("Only admins can assign an ambulance when booking");
+  }
+};
+
+// Recurring schedules; before /:bookingId so "schedules" is not taken for an id
+
+router.post(
+  "/schedules",
+  canBook,
+  validateRequest({ body: schemas.createSchedule }),
+  asyncHandler(async (req, res) => {
+    checkBookingInput(req);
+    const { schedule, bookings, conflicts } = await createSchedule(req.body, actorOf(req));
+    res.status(201).json({
+      schedule: formatSchedule(schedule),
+      bookings: bookings.map(formatBooking),
+      conflicts,
+    });
+  })
+);
+
+router.get(
+  "/schedules",
+  canBook,
+  asyncHandler(async (req, res) => {
+    const filter = req.user.userType === "admin" ? {} : { requesterId: req.user.userId };
+    const schedules = await BookingSchedule.find({ ...filter, cancelledAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ schedules: schedules.map(formatSchedule) });
+  })
+);
+
+// Cancels the schedule's bookings that have not started yet
+router.post(
+  "/schedules/:scheduleId/cancel",
+  canBook,
+  validateRequest({ params: schemas.scheduleParams, body: schemas.cancelBooking }),
+  asyncHandler(async (req, res) => {
+    const { schedule, cancelledBookings } = await cancelSchedule(
+      req.params.scheduleId,
+      actorOf(req),
+      req.body.reason
+    );
+    res.json({ schedule: formatSchedule(schedule), cancelledBookings });
+  })
+);
+
+// One-off bookings
+
+router.post(
+  "/",
+  canBook,
+  validateRequest({ body: schemas.createBooking }),
+  asyncHandler(async (req, res) => {
+    checkBookingInput(req);
+    const booking = await createBooking(req.body, actorOf(req));
+    res.status(201).json({ booking: formatBooking(booking) });
+  })
+);
+
+router.get(
+  "/",
+  requireRole("client", "hospital", "admin", "operator"),
+  validateRequest({ query: schemas.bookingsQuery }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filter = {};
+    if (req.query.status?.length) filter.status = { $in: req.query.status };
+    if (req.query.vehicleId) filter.vehicleId = req.query.vehicleId;
+    if (req.query.from || req.query.to) {
+      filter.windowStart = {};
+      if (req.query.from) filter.windowStart.$gte = req.query.from;
+      if (req.query.to) filter.windowStart.$lte = req.query.to;
+    }
+    // The vehicleId asked for narrows what the user may see, never widens it
+    const query = { $and: [await visibleFilter(req), filter] };
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .sort({ windowStart: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Booking.countDocuments(query),
+    ]);
+
+    res.json({
+      bookings: bookings.map(formatBooking),
+      pagination: paginationInfo(pagination, total),
+    });
+  })
+);
+
+router.get(
+  "/:bookingId",
+  requireRole("client", "hospital", "admin", "operator"),
+  validateRequest({ params: schemas.bookingParams }),
+  asyncHandler(async (req, res) => {
+    const booking = await Booking.findOne({
+      _id: req.params.bookingId,
+      ...(await visibleFilter(req)),
+    }).lean();
+    if (!booking) throw notFound("Booking not found");
+    res.json({ booking: formatBooking(booking) });
+  })
+);
+
+router.post(
+  "/:bookingId/cancel",
+  canBook,
+  validateRequest({ params: schemas.bookingParams, body: schemas.cancelBooking }),
+  asyncHandler(async (req, res) => {
+    const booking = await cancelBooking(req.params.bookingId, actorOf(req), req.body.reason);
+    res.json({ booking: formatBooking(booking) });
+  })
+);
+
+// Pre-assign the ambulance. Refused when it is booked in the meantime or,
+// for fleet vehicles, nobody is on shift with it.
+router.put(
+  "/:bookingId/assignment",
+  canAssign,
+  validateRequest({ params: schemas.bookingParams, body: schemas.assignBooking }),
+  asyncHandler(async (req, res) => {
+    const booking = await assignBooking(req.params.bookingId, req.body.vehicleId, actorOf(req), {
+      organizationId: await organizationOf(req),
+    });
+    res.json({ booking: formatBooking(booking) });
+  })
+);
+
+router.delete(
+  "/:bookingId/assignment",
+  canAssign,
+  validateRequest({ params: schemas.bookingParams }),
+  asyncHandler(async (req, res) => {
+    const booking = await unassignBooking(req.params.bookingId, actorOf(req), {
+      organizationId: await organizationOf(req),
+    });
+    res.json({ booking: formatBooking(booking) });
+  })
+);
+
+module.exports = router;
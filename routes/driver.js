@@ -0,0 +1,63 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const Ambulance = require("../models/Ambulance");
+const { resubmitVerification } = require("../services/driverOnboarding");
+const { audit, actorOf } = require("../services/audit");
+const { notFound } = require("../utils/errors");
+const schemas = require("../schemas/account");
+
+const router = express.Router();
+
+router.use(authenticate, requireRole("ambulance"));
+
+const verificationInfo = (ambulance) => ({
+  vehicleId: ambulance.vehicleId,
+  registrationNumber: ambulance.registrationNumber,
+  licenseNumber: ambulance.licenseNumber,
+  equipmentLevel: ambulance.vehicleType,
+  // Ambulances registered before onboarding existed count as approved
+  verificationStatus: ambulance.verificationStatus || "approved",
+  verificationSubmittedAt: ambulance.verificationSubmittedAt,
+  verifiedAt: ambulance.verifiedAt,
+  rejectionReason: ambulance.rejectionReason,
+});
+
+// Where the driver's ambulance is in the verification process
+router.get(
+  "/verification",
+  asyncHandler(async (req, res) => {
+    const ambulance = await Ambulance.findOne({ userId: req.user.userId }).lean();
+    if (!ambulance) throw notFound("No ambulance registered for this account");
+    res.json(verificationInfo(ambulance));
+  })
+);
+
+// Correct the licence, plate or equipment level and ask for review again
+router.put(
+  "/verification",
+  validateRequest({ body: schemas.verification }),
+  asyncHandler(async (req, res) => {
+    const ambulance = await resubmitVerification(req.user.userId, req.body);
+    audit({
+      actor: actorOf(req),
+      action: "ambulance.verification_submitted",
+      entityType: "Ambulance",
+      entityId: ambulance.vehicleId,
+      after: {
+        registrationNumber: ambulance.registrationNumber,
+        licenseNumber: ambulance.licenseNumber,
+        vehicleType: ambulance.vehicleType,
+      },
+    });
+    res.json({
+      message: "Submitted for verification, reconnect to use the new vehicle id",
+      ...verificationInfo(ambulance),
+    });
+  })
+);
+
+module.exports = router;
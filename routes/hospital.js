@@ -0,0 +1,143 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const Hospital = require("../models/Hospital");
+const EmergencyRequest = require("../models/Emergency");
+const {
+  recommendHospitals,
+  formatHospital,
+  CAPACITY_TYPES,
+} = require("../services/hospitals");
+const { audit, actorOf } = require("../services/audit");
+const { toPoint } = require("../utils/geo");
+const { badRequest, notFound } = require("../utils/errors");
+const schemas = require("../schemas/hospital");
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Best destination hospitals for a patient, for drivers choosing where to go
+router.get(
+  "/recommended",
+  requireRole("ambulance", "admin"),
+  validateRequest({ query: schemas.recommendedQuery }),
+  asyncHandler(async (req, res) => {
+    const { latitude, longitude, specialty, requestId, radius } = req.query;
+    let { criticalLevel } = req.query;
+
+    // Use the patient's critical level from the request when given one
+    if (requestId) {
+      const request = await EmergencyRequest.findById(requestId)
+        .select("criticalLevel")
+        .lean();
+      if (!request) throw notFound("Emergency request not found");
+      criticalLevel = request.criticalLevel;
+    }
+
+    const hospitals = await recommendHospitals({
+      latitude,
+      longitude,
+      criticalLevel,
+      specialty,
+      radiusKm: radius,
+    });
+
+    res.json({ criticalLevel: criticalLevel || "medium", hospitals });
+  })
+);
+
+// Hospital accounts manage their own profile and capacity
+router.use("/me", requireRole("hospital"));
+
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    const hospital = await Hospital.findOne({ userId: req.user.userId }).lean();
+    if (!hospital) throw notFound("Hospital profile not found");
+
+    res.json({ hospital: formatHospital(hospital) });
+  })
+);
+
+// Create or update the hospital profile
+router.put(
+  "/me",
+  validateRequest({ body: schemas.profile }),
+  asyncHandler(async (req, res) => {
+    const { name, phone, latitude, longitude, address, specialties } = req.body;
+
+    const hospital = await Hospital.findOneAndUpdate(
+      { userId: req.user.userId },
+      {
+        name,
+        phone,
+        location: { ...toPoint(latitude, longitude), address },
+        specialties,
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    audit({
+      actor: actorOf(req),
+      action: "hospital.profile_updated",
+      entityType: "Hospital",
+      entityId: hospital._id,
+      after: { name, phone, latitude, longitude, address, specialties },
+    });
+
+    res.json({ hospital: formatHospital(hospital) });
+  })
+);
+
+// Update bed / ICU / trauma availability, e.g. { icu: { available: 2 } }
+router.patch(
+  "/me/capacity",
+  validateRequest({ body: schemas.capacity }),
+  asyncHandler(async (req, res) => {
+    const hospital = await Hospital.findOne({ userId: req.user.userId });
+    if (!hospital) throw notFound("Hospital profile not found");
+    const before = {
+      capacity: hospital.toObject().capacity,
+      acceptingPatients: hospital.acceptingPatients,
+    };
+
+    for (const type of CAPACITY_TYPES) {
+      const update = req.body[type];
+      if (!update) continue;
+
+      const total = update.total ?? hospital.capacity[type].total;
+      const available = update.available ?? hospital.capacity[type].available;
+      if (available > total) {
+        throw badRequest(
+          `${type} capacity must satisfy 0 <= available <= total`,
+          "invalid_capacity"
+        );
+      }
+      hospital.capacity[type] = { total, available };
+    }
+
+    if (req.body.acceptingPatients !== undefined) {
+      hospital.acceptingPatients = req.body.acceptingPatients;
+    }
+    hospital.capacityUpdatedAt = new Date();
+    await hospital.save();
+    audit({
+      actor: actorOf(req),
+      action: "hospital.capacity_updated",
+      entityType: "Hospital",
+      entityId: hospital._id,
+      before,
+      after: {
+        capacity: hospital.toObject().capacity,
+        acceptingPatients: hospital.acceptingPatients,
+      },
+    });
+
+    res.json({ hospital: formatHospital(hospital.toObject()) });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const Incident = require("../models/Incident");
+const { formatIncident } = require("../services/incidents");
+const { actorOf } = require("../services/audit");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+const schemas = require("../schemas/incident");
+
+// Mass-casualty incidents run by admins. `incidents` is created in index.js,
+// where it shares the incident crews with the driver sockets.
+const createIncidentRouter = (incidents) => {
+  const router = express.Router();
+
+  router.use(authenticate, requireRole("admin"));
+
+  router.get(
+    "/",
+    validateRequest({ query: schemas.incidentsQuery }),
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const filter = {};
+      if (req.query.status?.length) filter.status = { $in: req.query.status };
+
+      const [found, total] = await Promise.all([
+        Incident.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        Incident.countDocuments(filter),
+      ]);
+
+      res.json({
+        incidents: found.map(formatIncident),
+        pagination: paginationInfo(pagination, total),
+      });
+    })
+  );
+
+  // New incident, or an ordinary request escalated into one with `requestId`
+  router.post(
+    "/",
+    validateRequest({ body: schemas.createIncident }),
+    asyncHandler(async (req, res) => {
+      const incident = await incidents.createIncident(req.body, actorOf(req));
+      res.status(201).json({ incident: formatIncident(incident) });
+    })
+  );
+
+  router.get(
+    "/:incidentId",
+    validateRequest({ params: schemas.incidentParams }),
+    asyncHandler(async (req, res) => {
+      const incident = await incidents.findIncident(req.params.incidentId);
+      res.json({ incident: formatIncident(incident) });
+    })
+  );
+
+  router.post(
+    "/:incidentId/units",
+    validateRequest({ params: schemas.incidentParams, body: schemas.addUnits }),
+    asyncHandler(async (req, res) => {
+      const incident = await incidents.addUnits(
+        req.params.incidentId,
+        req.body.units,
+        actorOf(req)
+      );
+      res.json({ incident: formatIncident(incident) });
+    })
+  );
+
+  // Releases every crew still working the incident
+  router.post(
+    "/:incidentId/close",
+    validateRequest({ params: schemas.incidentParams, body: schemas.closeIncident }),
+    asyncHandler(async (req, res) => {
+      const incident = await incidents.closeIncident(
+        req.params.incidentId,
+        actorOf(req),
+        req.body.reason
+      );
+      res.json({ incident: formatIncident(incident) });
+    })
+  );
+
+  return router;
+};
+
+module.exports = createIncidentRouter;
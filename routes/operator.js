@@ -0,0 +1,239 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+const authenticate = require("../middleware/auth");
+const requireRole = require("../middleware/requireRole");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+const Ambulance = require("../models/Ambulance");
+const Shift = require("../models/Shift");
+const EmergencyRequest = require("../models/Emergency");
+const { formatAmbulanceLocation } = require("../services/ambulanceSearch");
+const { registerAmbulance } = require("../services/driverOnboarding");
+const { scheduleShift, cancelShift } = require("../services/shifts");
+const { audit, actorOf } = require("../services/audit");
+const { parsePagination, paginationInfo } = require("../utils/pagination");
+const { fromPoint } = require("../utils/geo");
+const { forbidden, conflict } = require("../utils/errors");
+const schemas = require("../schemas/operator");
+const { operatorCreateDriver } = require("../schemas/account");
+
+const router = express.Router();
+
+// Fleet operator managers only ever see their own organization
+router.use(
+  authenticate,
+  requireRole("operator"),
+  asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.user.userId).select("organizationId").lean();
+    if (!user?.organizationId) {
+      throw forbidden("Your account is not linked to an organization", "no_organization");
+    }
+    req.organizationId = user.organizationId;
+    next();
+  })
+);
+
+// Fleet
+
+router.get(
+  "/ambulances",
+  asyncHandler(async (req, res) => {
+    const ambulances = await Ambulance.find({ organizationId: req.organizationId })
+      .sort({ vehicleId: 1 })
+      .lean();
+
+    // Who is driving each vehicle right now
+    const now = new Date();
+    const shifts = await Shift.find({
+      organizationId: req.organizationId,
+      cancelledAt: null,
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+    })
+      .populate("driverId", "name number")
+      .lean();
+    const drivers = new Map(shifts.map((shift) => [shift.vehicleId, shift.driverId]));
+
+    res.json({
+      ambulances: ambulances.map((ambulance) => ({
+        ...ambulance,
+        currentLocation: formatAmbulanceLocation(ambulance),
+        currentDriver: drivers.get(ambulance.vehicleId) || null,
+      })),
+    });
+  })
+);
+
+// Add a vehicle to the fleet; it goes on duty once an admin has verified it
+router.post(
+  "/ambulances",
+  validateRequest({ body: schemas.fleetAmbulance }),
+  asyncHandler(async (req, res) => {
+    const ambulance = await registerAmbulance({ organizationId: req.organizationId }, req.body);
+    audit({
+      actor: actorOf(req),
+      action: "ambulance.registered",
+      entityType: "Ambulance",
+      entityId: ambulance.vehicleId,
+      after: {
+        organizationId: req.organizationId,
+        vehicleType: ambulance.vehicleType,
+        verificationStatus: ambulance.verificationStatus,
+      },
+    });
+    res.status(201).json({
+      message: "Ambulance registered, awaiting verification",
+      ambulance,
+    });
+  })
+);
+
+// Drivers
+
+router.get(
+  "/drivers",
+  asyncHandler(async (req, res) => {
+    const drivers = await User.find({
+      organizationId: req.organizationId,
+      userType: "ambulance",
+    })
+      .select("name email number active lastLogin")
+      .sort({ name: 1 })
+      .lean();
+    res.json({ drivers });
+  })
+);
+
+// Create a driver account in the organization. Its drivers have no vehicle
+// of their own and drive whatever their shift assigns.
+router.post(
+  "/drivers",
+  validateRequest({ body: operatorCreateDriver }),
+  asyncHandler(async (req, res) => {
+    const { name, email, number, password } = req.body;
+    if (await User.exists({ $or: [{ email }, { number }] })) {
+      throw conflict("User already exists", "user_exists");
+    }
+
+    const driver = await User.create({
+      name,
+      email,
+      number,
+      password: await bcrypt.hash(password, 10),
+      userType: "ambulance",
+      organizationId: req.organizationId,
+    });
+    audit({
+      actor: actorOf(req),
+      action: "user.created",
+      entityType: "User",
+      entityId: driver._id,
+      after: { email, userType: "ambulance", organizationId: req.organizationId },
+    });
+    res.status(201).json({
+      driver: { id: driver._id, name: driver.name, email: driver.email, number: driver.number },
+    });
+  })
+);
+
+// Shifts
+
+// ?from=&to= (defaults to the next 7 days), ?vehicleId=, ?driverId=
+router.get(
+  "/shifts",
+  validateRequest({ query: schemas.shiftsQuery }),
+  asyncHandler(async (req, res) => {
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const filter = {
+      organizationId: req.organizationId,
+      cancelledAt: null,
+      startsAt: { $lt: to },
+      endsAt: { $gt: from },
+    };
+    if (req.query.vehicleId) filter.vehicleId = req.query.vehicleId;
+    if (req.query.driverId) filter.driverId = req.query.driverId;
+
+    const shifts = await Shift.find(filter)
+      .populate("driverId", "name number")
+      .sort({ startsAt: 1 })
+      .lean();
+    res.json({ from, to, shifts });
+  })
+);
+
+router.post(
+  "/shifts",
+  validateRequest({ body: schemas.shift }),
+  asyncHandler(async (req, res) => {
+    const shift = await scheduleShift(req.organizationId, req.body, req.user.userId);
+    audit({
+      actor: actorOf(req),
+      action: "shift.scheduled",
+      entityType: "Shift",
+      entityId: shift._id,
+      after: {
+        vehicleId: shift.vehicleId,
+        driverId: shift.driverId,
+        startsAt: shift.startsAt,
+        endsAt: shift.endsAt,
+      },
+    });
+    res.status(201).json({ shift });
+  })
+);
+
+router.post(
+  "/shifts/:shiftId/cancel",
+  validateRequest({ params: schemas.shiftParams }),
+  asyncHandler(async (req, res) => {
+    const shift = await cancelShift(req.organizationId, req.params.shiftId);
+    audit({
+      actor: actorOf(req),
+      action: "shift.cancelled",
+      entityType: "Shift",
+      entityId: shift._id,
+      after: { cancelledAt: shift.cancelledAt },
+    });
+    res.json({ message: "Shift cancelled", shift });
+  })
+);
+
+// Requests served by the fleet
+
+router.get(
+  "/requests",
+  validateRequest({ query: schemas.requestsQuery }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const vehicleIds = await Ambulance.distinct("vehicleId", {
+      organizationId: req.organizationId,
+    });
+
+    const filter = { ambulanceId: { $in: vehicleIds } };
+    if (req.query.status?.length) filter.status = { $in: req.query.status };
+
+    const [requests, total] = await Promise.all([
+      EmergencyRequest.find(filter)
+        .select("-statusHistory")
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      EmergencyRequest.countDocuments(filter),
+    ]);
+
+    res.json({
+      requests: requests.map((request) => ({
+        ...request,
+        location: fromPoint(request.location),
+      })),
+      pagination: paginationInfo(pagination, total),
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+const { audit, actorOf } = require("../services/audit");
+const { notFound } = require("../utils/errors");
+const schemas = require("../schemas/account");
+
+const router = express.Router();
+
+// Mounted at /profile next to GET /profile, so each route authenticates itself
+
+// People who get an SMS with a tracking link when one of the user's
+// emergency requests is accepted
+router.get(
+  "/emergency-contacts",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.userId).select("emergencyContacts").lean();
+    if (!user) throw notFound("User not found");
+    res.json({ contacts: user.emergencyContacts });
+  })
+);
+
+router.put(
+  "/emergency-contacts",
+  authenticate,
+  validateRequest({ body: schemas.emergencyContacts }),
+  asyncHandler(async (req, res) => {
+    const previous = await User.findByIdAndUpdate(
+      req.user.userId,
+      { emergencyContacts: req.body.contacts },
+      { runValidators: true }
+    )
+      .select("emergencyContacts")
+      .lean();
+    if (!previous) throw notFound("User not found");
+
+    audit({
+      actor: actorOf(req),
+      action: "user.emergency_contacts_updated",
+      entityType: "User",
+      entityId: req.user.userId,
+      before: { emergencyContacts: previous.emergencyContacts },
+      after: { emergencyContacts: req.body.contacts },
+    });
+    res.json({ contacts: req.body.contacts });
+  })
+);
+
+// Register or forget a device for push notifications
+router.post(
+  "/devices",
+  authenticate,
+  validateRequest({ body: schemas.device }),
+  asyncHandler(async (req, res) => {
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $addToSet: { deviceTokens: req.body.token } }
+    );
+    // Device tokens are credentials for the push service, so they are not logged
+    audit({
+      actor: actorOf(req),
+      action: "user.device_registered",
+      entityType: "User",
+      entityId: req.user.userId,
+    });
+    res.status(201).json({ message: "Device registered" });
+  })
+);
+
+router.delete(
+  "/devices",
+  authenticate,
+  validateRequest({ body: schemas.device }),
+  asyncHandler(async (req, res) => {
+    await User.updateOne({ _id: req.user.userId }, { $pull: { deviceTokens: req.body.token } });
+    audit({
+      actor: actorOf(req),
+      action: "user.device_removed",
+      entityType: "User",
+      entityId: req.user.userId,
+    });
+    res.json({ message: "Device removed" });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require("express");
+
+const authenticate = require("../middleware/auth");
+const rateLimit = require("../middleware/rateLimit");
+const validateRequest = require("../middleware/validate");
+const { asyncHandler } = require("../middleware/errorHandler");
+const EmergencyRequest = require("../models/Emergency");
+const {
+  createShareLink,
+  listShareLinks,
+  resolveShareLink,
+  revokeShareLink,
+  trackingSnapshot,
+} = require("../services/shareLinks");
+const { actorOf } = require("../services/audit");
+const { forbidden, notFound } = require("../utils/errors");
+const schemas = require("../schemas/emergency");
+
+const router = express.Router();
+
+const trackLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.TRACK_RATE_LIMIT) || 60,
+});
+
+// Only the requester (or an admin) decides who may follow a request
+const findSharedRequest = async (req) => {
+  const request = await EmergencyRequest.findById(req.params.requestId)
+    .select("requesterId status")
+    .lean();
+  if (!request) throw notFound("Emergency request not found");
+
+  if (request.requesterId.toString() !== req.user.userId && req.user.userType !== "admin") {
+    throw forbidden("Not authorized to share this request");
+  }
+  return request;
+};
+
+// Share links of a request. They stop working when revoked, when they
+// expire or when the request is completed or cancelled.
+
+router.post(
+  "/emergency-request/:requestId/share",
+  authenticate,
+  validateRequest({ params: schemas.requestParams, body: schemas.shareLink }),
+  asyncHandler(async (req, res) => {
+    const request = await findSharedRequest(req);
+    const share = await createShareLink(request, actorOf(req), req.body);
+    res.status(201).json({ share });
+  })
+);
+
+router.get(
+  "/emergency-request/:requestId/share",
+  authenticate,
+  validateRequest({ params: schemas.requestParams }),
+  asyncHandler(async (req, res) => {
+    const request = await findSharedRequest(req);
+    res.json({ shares: await listShareLinks(request._id) });
+  })
+);
+
+router.delete(
+  "/emergency-request/:requestId/share/:shareId",
+  authenticate,
+  validateRequest({ params: schemas.shareParams }),
+  asyncHandler(async (req, res) => {
+    const request = await findSharedRequest(req);
+    await revokeShareLink(request._id, req.params.shareId, actorOf(req));
+    res.json({ message: "Share link revoked" });
+  })
+);
+
+// Public, read-only view of a shared request. Live updates are on the /track
+// socket namespace with the same token.
+router.get(
+  "/track/:token",
+  trackLimit,
+  validateRequest({ params: schemas.trackParams }),
+  asyncHandler(async (req, res) => {
+    const link = await resolveShareLink(req.params.token);
+    const tracking = link && (await trackingSnapshot(link.requestId));
+    if (!tracking) throw notFound("This tracking link is invalid or has expired", "link_expired");
+
+    res.json({ tracking, expiresAt: link.expiresAt });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const { object } = require("../utils/validate");
+const { USER_TYPES, VEHICLE_TYPES, email, phoneNumber, password } = require("./common");
+
+const name = { type: "string", required: true, maxLength: 100 };
+
+// A driver's vehicle, checked again by the onboarding service
+const vehicleSubmission = {
+  licenseNumber: { type: "string", maxLength: 40 },
+  registrationNumber: { type: "string", maxLength: 20 },
+  equipmentLevel: { type: "string", enum: VEHICLE_TYPES },
+};
+
+const newAccount = {
+  name,
+  email: { ...email, required: true },
+  number: { ...phoneNumber, required: true },
+  password: { ...password, required: true },
+};
+
+const register = object({
+  ...newAccount,
+  // Refused for anything but client and ambulance by the route
+  userType: { type: "string", enum: USER_TYPES, default: "client" },
+  ...vehicleSubmission,
+  vehicleType: { type: "string", enum: VEHICLE_TYPES }, // older name of equipmentLevel
+});
+
+const login = object({
+  email: { type: "string", required: true, maxLength: 254 },
+  password: { type: "string", required: true, maxLength: 128 },
+});
+
+const refresh = object({ refreshToken: { type: "string", required: true, maxLength: 200 } });
+
+const logout = object({ all: { type: "boolean", default: false } });
+
+const verifyToken = object({ token: { type: "string", required: true, maxLength: 2000 } });
+
+const passwordResetRequest = object({ email: { ...email, required: true } });
+
+const passwordResetConfirm = object({
+  email: { ...email, required: true },
+  code: { type: "string", required: true, pattern: /^\d{6}$/ },
+  newPassword: { ...password, required: true },
+});
+
+const verification = object({
+  ...vehicleSubmission,
+  registrationNumber: { ...vehicleSubmission.registrationNumber, required: true },
+});
+
+// Accounts created by an admin (never drivers, who go through verification)
+const adminCreateUser = object({
+  ...newAccount,
+  userType: {
+    type: "string",
+    required: true,
+    enum: USER_TYPES.filter((type) => type !== "ambulance"),
+  },
+  organizationId: { type: "objectId" },
+});
+
+// Driver accounts created by a fleet operator
+const operatorCreateDriver = object(newAccount);
+
+// Replaces the whole list
+const emergencyContacts = object({
+  contacts: {
+    type: "array",
+    required: true,
+    maxItems: 5,
+    items: object({
+      name: { ...name },
+      phone: { ...phoneNumber, required: true },
+      relation: { type: "string", maxLength: 50 },
+    }),
+  },
+});
+
+// Push notification token of one of the user's devices
+const device = object({ token: { type: "string", required: true, maxLength: 4096 } });
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyToken,
+  passwordResetRequest,
+  passwordResetConfirm,
+  verification,
+  adminCreateUser,
+  operatorCreateDriver,
+  emergencyContacts,
+  device,
+};
@@ -0,0 +1,116 @@
+const { object } = require("../utils/validate");
+const {
+  AMBULANCE_STATUSES,
+  VEHICLE_TYPES,
+  VERIFICATION_STATUSES,
+  REQUEST_STATUSES,
+  CRITICAL_LEVELS,
+  USER_TYPES,
+  AUDIT_ENTITY_TYPES,
+  id,
+  vehicleId,
+  date,
+  email,
+  phoneNumber,
+  pagination,
+  listOf,
+  trackFormat,
+} = require("./common");
+
+const usersQuery = object({
+  ...pagination,
+  userType: listOf(USER_TYPES),
+  active: { type: "boolean" },
+  search: { type: "string", maxLength: 100 },
+});
+
+const userParams = object({ userId: id });
+
+const ambulancesQuery = object({
+  ...pagination,
+  status: listOf(AMBULANCE_STATUSES),
+  vehicleType: listOf(VEHICLE_TYPES),
+  verificationStatus: listOf(VERIFICATION_STATUSES),
+  organizationId: { type: "objectId" },
+});
+
+const vehicleParams = object({ vehicleId: { ...vehicleId, required: true } });
+
+const updateAmbulance = object({
+  vehicleType: { type: "string", required: true, enum: VEHICLE_TYPES },
+});
+
+const rejectAmbulance = object({ reason: { type: "string", required: true, maxLength: 500 } });
+
+// Defaults to the last 24 hours in the route
+const historyQuery = object({ from: date, to: date, format: trackFormat });
+
+const requestsQuery = object({
+  ...pagination,
+  status: listOf(REQUEST_STATUSES),
+  criticalLevel: listOf(CRITICAL_LEVELS),
+  vehicleId,
+  from: date,
+  to: date,
+});
+
+const requestParams = object({ requestId: id });
+
+const assignRequest = object({
+  vehicleId: { ...vehicleId, required: true },
+  reason: { type: "string", maxLength: 500 },
+});
+
+// Notification delivery log
+const notificationsQuery = object({
+  ...pagination,
+  status: listOf(["pending", "sent", "failed"]),
+  channel: listOf(["email", "sms", "push"]),
+  requestId: { type: "objectId" },
+  userId: { type: "objectId" },
+});
+
+// Audit log
+const auditQuery = object({
+  ...pagination,
+  entityType: { type: "string", enum: AUDIT_ENTITY_TYPES },
+  entityId: { type: "string", maxLength: 40 },
+  actorId: { type: "objectId" },
+  actorRole: listOf([...USER_TYPES, "system"]),
+  action: { type: "list", items: { type: "string", maxLength: 60 } },
+  from: date,
+  to: date,
+});
+
+const createOrganization = object({
+  name: { type: "string", required: true, maxLength: 100 },
+  contactEmail: email,
+  phone: phoneNumber,
+});
+
+// Analytics reports: ?month=YYYY-MM or ?from=&to=, ?format=csv
+const reportQuery = object({
+  month: { type: "string", pattern: /^\d{4}-(0[1-9]|1[0-2])$/ },
+  from: date,
+  to: date,
+  format: { type: "string", enum: ["json", "csv"] },
+  groupBy: { type: "string", enum: ["criticalLevel", "day"] },
+  cellSize: { type: "number", min: 0.001, max: 1 }, // heatmap grid, degrees
+});
+
+module.exports = {
+  usersQuery,
+  userParams,
+  ambulancesQuery,
+  vehicleParams,
+  updateAmbulance,
+  rejectAmbulance,
+  historyQuery,
+  requestsQuery,
+  requestParams,
+  assignRequest,
+  createOrganization,
+  notificationsQuery,
+  auditQuery,
+  reportQuery,
+};
@@ -0,0 +1,93 @@
+const { object } = require("../utils/validate");
+const {
+  VEHICLE_TYPES,
+  BOOKING_STATUSES,
+  TRANSPORT_TYPES,
+  latitude,
+  longitude,
+  id,
+  vehicleId,
+  date,
+  phoneNumber,
+  pagination,
+  listOf,
+} = require("./common");
+
+const reason = { type: "string", maxLength: 500 };
+
+const place = object(
+  {
+    latitude: { ...latitude, required: true },
+    longitude: { ...longitude, required: true },
+    address: { type: "string", maxLength: 300 },
+  },
+  { required: true }
+);
+
+// What is transported where, shared by bookings and recurring schedules
+const transport = {
+  patientName: { type: "string", maxLength: 100 },
+  patientPhone: phoneNumber,
+  transportType: { type: "string", enum: TRANSPORT_TYPES, default: "other" },
+  pickup: place,
+  dropoff: place,
+  dropoffHospitalId: { type: "objectId" },
+  vehicleType: { type: "string", enum: VEHICLE_TYPES, default: "basic" },
+  notes: { type: "string", maxLength: 2000 },
+  vehicleId, // ambulance to assign, admins and operators only
+  requesterId: { type: "objectId" }, // admins booking for someone else
+};
+
+const createBooking = object({
+  ...transport,
+  windowStart: { ...date, required: true },
+  windowEnd: { ...date, required: true },
+});
+
+// Times are wall clock times in `timeZone`
+const createSchedule = object({
+  ...transport,
+  daysOfWeek: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    maxItems: 7,
+    items: { type: "integer", min: 0, max: 6 }, // 0 = Sunday
+  },
+  pickupTime: { type: "string", required: true, pattern: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+  windowMinutes: { type: "integer", min: 10, max: 240, default: 30 },
+  timeZone: { type: "string", maxLength: 60, default: "UTC" },
+  startsOn: { ...date, required: true },
+  endsOn: date,
+});
+
+const bookingParams = object({ bookingId: id });
+
+const scheduleParams = object({ scheduleId: id });
+
+const assignBooking = object({ vehicleId: { ...vehicleId, required: true } });
+
+const cancelBooking = object({ reason });
+
+const bookingsQuery = object({
+  ...pagination,
+  status: listOf(BOOKING_STATUSES),
+  vehicleId,
+  from: date,
+  to: date,
+});
+
+// Socket events
+
+const upcomingBookings = object({ days: { type: "integer", min: 1, max: 31, default: 7 } });
+
+module.exports = {
+  createBooking,
+  createSchedule,
+  bookingParams,
+  scheduleParams,
+  assignBooking,
+  cancelBooking,
+  bookingsQuery,
+  upcomingBookings,
+};
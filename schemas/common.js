@@ -0,0 +1,78 @@
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const User = require("../models/User");
+const AuditEvent = require("../models/AuditEvent");
+const Incident = require("../models/Incident");
+const Booking = require("../models/Booking");
+const { MIN_PASSWORD_LENGTH } = require("../services/accountSecurity");
+
+// Allowed values come from the models so schemas and data never disagree
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+const AMBULANCE_STATUSES = enumOf(Ambulance, "status");
+const VEHICLE_TYPES = enumOf(Ambulance, "vehicleType");
+const VERIFICATION_STATUSES = enumOf(Ambulance, "verificationStatus");
+const REQUEST_STATUSES = enumOf(EmergencyRequest, "status");
+const CRITICAL_LEVELS = enumOf(EmergencyRequest, "criticalLevel");
+const BREATHING = enumOf(EmergencyRequest, "triage.breathing");
+const BLEEDING = enumOf(EmergencyRequest, "triage.bleeding");
+const COMPLAINTS = enumOf(EmergencyRequest, "triage.complaint");
+const AGE_RANGES = enumOf(EmergencyRequest, "triage.ageRange");
+const USER_TYPES = enumOf(User, "userType");
+const AUDIT_ENTITY_TYPES = enumOf(AuditEvent, "entityType");
+const INCIDENT_STATUSES = enumOf(Incident, "status");
+const BOOKING_STATUSES = enumOf(Booking, "status");
+const TRANSPORT_TYPES = enumOf(Booking, "transportType");
+
+const latitude = { type: "number", min: -90, max: 90 };
+const longitude = { type: "number", min: -180, max: 180 };
+const id = { type: "objectId", required: true };
+const vehicleId = { type: "string", maxLength: 40 };
+const date = { type: "date" };
+
+const email = {
+  type: "string",
+  maxLength: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+const phoneNumber = { type: "string", pattern: /^\+?[0-9 ()-]{6,20}$/ };
+const password = { type: "string", minLength: MIN_PASSWORD_LENGTH, maxLength: 128 };
+
+// ?page=&limit= for listings
+const pagination = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1, max: 100 },
+};
+
+// Comma separated filter, e.g. ?status=available,on_route
+const listOf = (values) => ({ type: "list", items: { type: "string", enum: values } });
+
+const trackFormat = { type: "string", enum: ["json", "geojson", "gpx"] };
+
+module.exports = {
+  AMBULANCE_STATUSES,
+  VEHICLE_TYPES,
+  VERIFICATION_STATUSES,
+  REQUEST_STATUSES,
+  CRITICAL_LEVELS,
+  BREATHING,
+  BLEEDING,
+  COMPLAINTS,
+  AGE_RANGES,
+  USER_TYPES,
+  AUDIT_ENTITY_TYPES,
+  INCIDENT_STATUSES,
+  BOOKING_STATUSES,
+  TRANSPORT_TYPES,
+  latitude,
+  longitude,
+  id,
+  vehicleId,
+  date,
+  email,
+  phoneNumber,
+  password,
+  pagination,
+  listOf,
+  trackFormat,
+};
@@ -0,0 +1,28 @@
+const { object } = require("../utils/validate");
+const { AMBULANCE_STATUSES, latitude, longitude, date } = require("./common");
+
+// Driver socket events
+
+const updateStatus = object({
+  status: { type: "string", required: true, enum: AMBULANCE_STATUSES },
+});
+
+const locationUpdate = object({
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  timestamp: date, // when the position was taken, defaults to now
+});
+
+// Client socket events
+
+const viewport = object(
+  {
+    north: { ...latitude, required: true },
+    south: { ...latitude, required: true },
+    east: { ...longitude, required: true },
+    west: { ...longitude, required: true },
+  },
+  { check: ({ north, south }) => (south > north ? "south must not be above north" : null) }
+);
+
+module.exports = { updateStatus, locationUpdate, viewport };
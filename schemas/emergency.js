@@ -0,0 +1,126 @@
+const { object } = require("../utils/validate");
+const {
+  AMBULANCE_STATUSES,
+  VEHICLE_TYPES,
+  REQUEST_STATUSES,
+  CRITICAL_LEVELS,
+  BREATHING,
+  BLEEDING,
+  COMPLAINTS,
+  AGE_RANGES,
+  latitude,
+  longitude,
+  id,
+  vehicleId,
+  listOf,
+  trackFormat,
+} = require("./common");
+
+const reason = { type: "string", maxLength: 500 };
+
+// Socket events
+
+// Short free-text entries such as "diabetes" or "penicillin"
+const notes = { type: "array", maxItems: 20, items: { type: "string", maxLength: 100 } };
+
+// Every answer is optional, callers may not know them all
+const triage = object({
+  conscious: { type: "boolean" },
+  breathing: { type: "string", enum: BREATHING },
+  bleeding: { type: "string", enum: BLEEDING },
+  complaint: { type: "string", enum: COMPLAINTS },
+  ageRange: { type: "string", enum: AGE_RANGES },
+  conditions: notes,
+  allergies: notes,
+});
+
+const emergencyRequest = object({
+  location: object(
+    {
+      latitude: { ...latitude, required: true },
+      longitude: { ...longitude, required: true },
+      address: { type: "string", maxLength: 300 },
+    },
+    { required: true }
+  ),
+  emergencyDetails: { type: "string", maxLength: 2000 },
+  patientCount: { type: "integer", min: 1, max: 50, default: 1 },
+  criticalLevel: { type: "string", enum: CRITICAL_LEVELS, default: "medium" },
+  triage,
+});
+
+const requestRef = object({ requestId: id });
+
+const cancelRequest = object({ requestId: id, reason });
+
+const declineRequest = object({ requestId: id, reason });
+
+// Why the crew gives up the request, e.g. "vehicle broke down"
+const abandonRequest = object({ requestId: id, reason: { ...reason, required: true } });
+
+const transferRequest = object({
+  requestId: id,
+  vehicleId: { ...vehicleId, required: true },
+  reason: { ...reason, required: true },
+});
+
+// Acceptance goes through accept-request, which claims the ambulance
+const updateRequestStatus = object({
+  requestId: id,
+  status: {
+    type: "string",
+    required: true,
+    enum: REQUEST_STATUSES.filter((status) => status !== "accepted"),
+  },
+});
+
+const selectHospital = object({ requestId: id, hospitalId: id });
+
+// REST
+
+const requestParams = object({ requestId: id });
+
+const cancelBody = object({ reason });
+
+const trackQuery = object({ format: trackFormat });
+
+const nearbyQuery = object({
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  radius: { type: "number", min: 0.1, max: 100, default: 10 }, // kilometers
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  status: listOf(AMBULANCE_STATUSES),
+  vehicleType: listOf(VEHICLE_TYPES),
+  sortBy: { type: "string", enum: ["distance", "eta"], default: "distance" },
+});
+
+// Share links
+
+const shareLink = object({
+  label: { type: "string", maxLength: 100 },
+  ttlMinutes: { type: "integer", min: 5, max: 24 * 60 },
+});
+
+const shareParams = object({ requestId: id, shareId: id });
+
+const trackParams = object({
+  token: { type: "string", required: true, pattern: /^[A-Za-z0-9_-]{32}$/ },
+});
+
+module.exports = {
+  emergencyRequest,
+  requestRef,
+  cancelRequest,
+  declineRequest,
+  abandonRequest,
+  transferRequest,
+  updateRequestStatus,
+  selectHospital,
+  requestParams,
+  cancelBody,
+  trackQuery,
+  nearbyQuery,
+  shareLink,
+  shareParams,
+  trackParams,
+};
@@ -0,0 +1,39 @@
+const { object } = require("../utils/validate");
+const { CRITICAL_LEVELS, latitude, longitude } = require("./common");
+
+const recommendedQuery = object({
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  criticalLevel: { type: "string", enum: CRITICAL_LEVELS },
+  requestId: { type: "objectId" }, // use the patient's critical level from the request
+  specialty: { type: "string", maxLength: 100 },
+  radius: { type: "number", min: 1, max: 500, default: 50 }, // kilometers
+});
+
+const profile = object({
+  name: { type: "string", required: true, maxLength: 200 },
+  phone: { type: "string", maxLength: 30 },
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  address: { type: "string", maxLength: 300 },
+  specialties: {
+    type: "array",
+    maxItems: 50,
+    items: { type: "string", maxLength: 100 },
+    default: () => [],
+  },
+});
+
+const capacityCount = object({
+  total: { type: "integer", min: 0 },
+  available: { type: "integer", min: 0 },
+});
+
+const capacity = object({
+  beds: capacityCount,
+  icu: capacityCount,
+  trauma: capacityCount,
+  acceptingPatients: { type: "boolean" },
+});
+
+module.exports = { recommendedQuery, profile, capacity };
@@ -0,0 +1,83 @@
+const { object } = require("../utils/validate");
+const {
+  VEHICLE_TYPES,
+  INCIDENT_STATUSES,
+  latitude,
+  longitude,
+  id,
+  pagination,
+  listOf,
+} = require("./common");
+
+const reason = { type: "string", maxLength: 500 };
+
+// How many ambulances of each vehicle type are needed
+const units = {
+  type: "array",
+  required: true,
+  minItems: 1,
+  maxItems: VEHICLE_TYPES.length,
+  items: object({
+    vehicleType: { type: "string", required: true, enum: VEHICLE_TYPES },
+    count: { type: "integer", required: true, min: 1, max: 50 },
+  }),
+};
+
+// Socket events
+
+const incidentRef = object({ incidentId: id });
+
+// Without a unitId the crew gets the most demanding unit its ambulance suits
+const acceptIncident = object({ incidentId: id, unitId: { type: "objectId" } });
+
+const updateUnitStatus = object({
+  incidentId: id,
+  status: { type: "string", required: true, enum: ["arrived", "in_progress", "completed"] },
+});
+
+// Why the crew stands down, e.g. "vehicle broke down"
+const releaseUnit = object({ incidentId: id, reason: { ...reason, required: true } });
+
+// REST
+
+// Escalating a request takes its location, otherwise one is required
+const createIncident = object(
+  {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", maxLength: 2000 },
+    location: object({
+      latitude: { ...latitude, required: true },
+      longitude: { ...longitude, required: true },
+      address: { type: "string", maxLength: 300 },
+    }),
+    units,
+    requestId: { type: "objectId" },
+  },
+  {
+    check: ({ location, requestId }) =>
+      location || requestId ? null : "location is required unless escalating a request",
+  }
+);
+
+const addUnits = object({ units });
+
+const closeIncident = object({ reason });
+
+const incidentParams = object({ incidentId: id });
+
+const incidentsQuery = object({
+  ...pagination,
+  status: listOf(INCIDENT_STATUSES),
+});
+
+module.exports = {
+  incidentRef,
+  acceptIncident,
+  updateUnitStatus,
+  releaseUnit,
+  createIncident,
+  addUnits,
+  closeIncident,
+  incidentParams,
+  incidentsQuery,
+};
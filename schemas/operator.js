@@ -0,0 +1,29 @@
+const { object } = require("../utils/validate");
+const { VEHICLE_TYPES, REQUEST_STATUSES, id, vehicleId, date, pagination, listOf } =
+  require("./common");
+
+const fleetAmbulance = object({
+  registrationNumber: { type: "string", required: true, maxLength: 20 },
+  equipmentLevel: { type: "string", enum: VEHICLE_TYPES },
+});
+
+const shift = object({
+  vehicleId: { ...vehicleId, required: true },
+  driverId: id,
+  startsAt: { ...date, required: true },
+  endsAt: { ...date, required: true },
+});
+
+const shiftParams = object({ shiftId: id });
+
+// Defaults to the next 7 days in the route
+const shiftsQuery = object({
+  from: date,
+  to: date,
+  vehicleId,
+  driverId: { type: "objectId" },
+});
+
+const requestsQuery = object({ ...pagination, status: listOf(REQUEST_STATUSES) });
+
+module.exports = { fleetAmbulance, shift, shiftParams, shiftsQuery, requestsQuery };
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const User = require("../models/User");
+const PasswordResetCode = require("../models/PasswordResetCode");
+const { notifier } = require("./notifier");
+const { hashToken, revokeUserSessions } = require("./sessions");
+const { disconnectUser } = require("./realtime");
+const { audit } = require("./audit");
+
+// Wrong passwords in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+const RESET_CODE_TTL_MS = Number(process.env.PASSWORD_RESET_CODE_TTL_MS) || 15 * 60 * 1000;
+// Wrong guesses before a reset code stops working
+const MAX_CODE_ATTEMPTS = 5;
+const MIN_PASSWORD_LENGTH = 8;
+
+const lockedUntil = (user) =>
+  user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+
+// Count a wrong password; the last allowed one locks the account
+const recordFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) return null;
+
+  const until = new Date(Date.now() + LOCKOUT_MS);
+  await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: until });
+  console.log(`🔒 Account ${user.email} locked until ${until.toISOString()}`);
+  return until;
+};
+
+const recordSuccessfulLogin = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    { lastLogin: new Date(), failedLoginAttempts: 0, lockedUntil: null }
+  );
+
+const sameHash = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Send a one-time code to the account's email. Unknown addresses are
+// ignored silently so the endpoint does not reveal who has an account.
+// `actor` is who asked, for the audit log.
+const requestPasswordReset = async (email, actor) => {
+  const user = await User.findOne({ email, active: { $ne: false } });
+  if (!user) return;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  // Only the newest code works
+  await PasswordResetCode.deleteMany({ userId: user._id });
+  await PasswordResetCode.create({
+    userId: user._id,
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + RESET_CODE_TTL_MS),
+  });
+  audit({
+    actor,
+    action: "user.password_reset_requested",
+    entityType: "User",
+    entityId: user._id,
+  });
+
+  // Sent directly rather than through the notification log, which would keep
+  // the code in clear text
+  await notifier.send({
+    to: user.email,
+    subject: "Your password reset code",
+    text:
+      `Your password reset code is ${code}. It expires in ${Math.round(RESET_CODE_TTL_MS / 60000)} minutes.\n` +
+      "If you did not ask to reset your password you can ignore this message.",
+  });
+};
+
+// Set a new password with a code from requestPasswordReset. Resolves to
+// false if the code is wrong, used or expired. Every session is logged out.
+const resetPassword = async (email, code, newPassword, actor) => {
+  const user = await User.findOne({ email });
+  if (!user) return false;
+
+  const resetCode = await PasswordResetCode.findOne({
+    userId: user._id,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: MAX_CODE_ATTEMPTS },
+  });
+  if (!resetCode) return false;
+
+  if (!sameHash(resetCode.codeHash, hashToken(String(code)))) {
+    await PasswordResetCode.updateOne({ _id: resetCode._id }, { $inc: { attempts: 1 } });
+    return false;
+  }
+
+  // Conditional so a code can only be used once
+  const claimed = await PasswordResetCode.findOneAndUpdate(
+    { _id: resetCode._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      password: await bcrypt.hash(newPassword, 10),
+      passwordChangedAt: new Date(),
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+    }
+  );
+  await revokeUserSessions(user._id, "password_reset");
+  await disconnectUser(user._id);
+  audit({ actor, action: "user.password_reset", entityType: "User", entityId: user._id });
+
+  console.log(`🔑 Password reset for ${user.email}`);
+  return true;
+};
+
+module.exports = {
+  lockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  requestPasswordReset,
+  resetPassword,
+  MIN_PASSWORD_LENGTH,
+};
@@ -0,0 +1,67 @@
+const Ambulance = require("../models/Ambulance");
+const { toPoint, fromPoint } = require("../utils/geo");
+
+const ON_DUTY_STATUSES = ["available", "on_route", "with_patient", "at_hospital"];
+
+// Ambulances within `radiusKm` of a point, nearest first, with `distanceKm` set.
+// `status` and `vehicleType` are optional lists to filter on.
+const findNearbyAmbulances = async ({
+  latitude,
+  longitude,
+  radiusKm,
+  status = ON_DUTY_STATUSES,
+  vehicleType,
+  updatedSince,
+  limit = 20,
+}) => {
+  const query = { status: { $in: status } };
+  if (vehicleType?.length) query.vehicleType = { $in: vehicleType };
+  if (updatedSince) query["currentLocation.lastUpdated"] = { $gte: updatedSince };
+
+  const ambulances = await Ambulance.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(latitude, longitude),
+        key: "currentLocation",
+        distanceField: "distanceMeters",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+  ]);
+
+  return ambulances.map(({ distanceMeters, ...ambulance }) => ({
+    ...ambulance,
+    distanceKm: distanceMeters / 1000,
+  }));
+};
+
+// Shape of an ambulance location as sent to the apps
+const formatAmbulanceLocation = (ambulance) => fromPoint(ambulance.currentLocation);
+
+// Vehicle and crew details shown to the requester once an ambulance is assigned
+const describeAmbulance = async (vehicleId) => {
+  const ambulance = await Ambulance.findOne({ vehicleId })
+    .populate("userId", "name number")
+    .lean();
+  if (!ambulance) return null;
+
+  return {
+    id: ambulance._id,
+    vehicleId: ambulance.vehicleId,
+    vehicleType: ambulance.vehicleType,
+    status: ambulance.status,
+    currentLocation: formatAmbulanceLocation(ambulance),
+    driverName: ambulance.userId?.name,
+    driverContact: ambulance.userId?.number,
+  };
+};
+
+module.exports = {
+  findNearbyAmbulances,
+  formatAmbulanceLocation,
+  describeAmbulance,
+  ON_DUTY_STATUSES,
+};
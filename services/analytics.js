@@ -0,0 +1,192 @@
+const EmergencyRequest = require("../models/Emergency");
+const AmbulanceStatusEvent = require("../models/AmbulanceStatusEvent");
+
+const AMBULANCE_STATUSES = ["available", "on_route", "with_patient", "at_hospital", "offline"];
+const BUSY_STATUSES = ["on_route", "with_patient", "at_hospital"];
+
+// Request reports cover emergencies only, not booked transports converted
+// into requests
+const EMERGENCIES = { bookingId: null };
+
+// Value at percentile `p` (0-100) of an ascending list, nearest-rank method
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+// Count, average and percentiles of a list of durations in seconds
+const summarize = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    avg: sorted.length ? round(total / sorted.length) : null,
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+  };
+};
+
+const secondsBetween = (start, end) =>
+  start && end ? (new Date(end) - new Date(start)) / 1000 : null;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Time-to-accept and time-to-complete (seconds from creation), grouped by
+// "criticalLevel" or "day"
+const responseTimes = async ({ from, to, groupBy = "criticalLevel" }) => {
+  const requests = await EmergencyRequest.find({
+    ...EMERGENCIES,
+    createdAt: { $gte: from, $lte: to },
+    acceptedAt: { $exists: true },
+  })
+    .select("criticalLevel createdAt acceptedAt completedAt")
+    .lean();
+
+  const groups = new Map();
+  for (const request of requests) {
+    const key = groupBy === "day" ? dayKey(request.createdAt) : request.criticalLevel;
+    if (!groups.has(key)) groups.set(key, { accept: [], complete: [] });
+
+    const group = groups.get(key);
+    group.accept.push(secondsBetween(request.createdAt, request.acceptedAt));
+    if (request.completedAt) {
+      group.complete.push(secondsBetween(request.createdAt, request.completedAt));
+    }
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([key, group]) => ({
+      [groupBy]: key,
+      timeToAccept: summarize(group.accept),
+      timeToComplete: summarize(group.complete),
+    }));
+};
+
+// Seconds each ambulance spent in each status between `from` and `to`,
+// replayed from the status event log
+const utilization = async ({ from, to }) => {
+  const end = new Date(Math.min(to.getTime(), Date.now()));
+
+  const [events, before] = await Promise.all([
+    AmbulanceStatusEvent.find({ at: { $gte: from, $lte: end } })
+      .sort({ at: 1 })
+      .lean(),
+    // Status each ambulance was already in when the range starts
+    AmbulanceStatusEvent.aggregate([
+      { $match: { at: { $lt: from } } },
+      { $sort: { at: 1 } },
+      { $group: { _id: "$vehicleId", status: { $last: "$status" } } },
+    ]),
+  ]);
+
+  const timelines = new Map();
+  for (const { _id: vehicleId, status } of before) {
+    timelines.set(vehicleId, [{ status, at: from }]);
+  }
+  for (const event of events) {
+    if (!timelines.has(event.vehicleId)) timelines.set(event.vehicleId, []);
+    timelines.get(event.vehicleId).push(event);
+  }
+
+  return [...timelines.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([vehicleId, timeline]) => {
+      const seconds = Object.fromEntries(AMBULANCE_STATUSES.map((status) => [status, 0]));
+
+      timeline.forEach((event, index) => {
+        const next = timeline[index + 1]?.at || end;
+        seconds[event.status] = (seconds[event.status] || 0) + secondsBetween(event.at, next);
+      });
+
+      const busy = BUSY_STATUSES.reduce((sum, status) => sum + seconds[status], 0);
+      const onDuty = busy + seconds.available;
+      return {
+        vehicleId,
+        seconds,
+        // Share of on-duty time spent serving requests
+        utilization: onDuty ? Math.round((busy / onDuty) * 1000) / 1000 : null,
+      };
+    });
+};
+
+// Share of requests cancelled, overall and per critical level
+const cancellations = async ({ from, to }) => {
+  const rows = await EmergencyRequest.aggregate([
+    { $match: { ...EMERGENCIES, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: "$criticalLevel",
+        total: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+        // Cancelled after an ambulance had already accepted
+        cancelledAfterAccept: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ["$status", "cancelled"] }, { $ifNull: ["$acceptedAt", false] }] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const withRate = (row) => ({
+    ...row,
+    rate: row.total ? Math.round((row.cancelled / row.total) * 1000) / 1000 : null,
+  });
+
+  const overall = rows.reduce(
+    (sum, row) => ({
+      total: sum.total + row.total,
+      cancelled: sum.cancelled + row.cancelled,
+      cancelledAfterAccept: sum.cancelledAfterAccept + row.cancelledAfterAccept,
+    }),
+    { total: 0, cancelled: 0, cancelledAfterAccept: 0 }
+  );
+
+  return {
+    overall: withRate(overall),
+    byCriticalLevel: rows.map(({ _id, ...row }) => withRate({ criticalLevel: _id, ...row })),
+  };
+};
+
+// Request origins counted on a grid of `cellSize` degrees. Each cell is
+// reported by its south-west corner.
+const heatmap = async ({ from, to, cellSize = 0.01 }) => {
+  // index 0 is longitude, 1 is latitude in GeoJSON
+  const cellStart = (index) => ({
+    $multiply: [
+      { $floor: { $divide: [{ $arrayElemAt: ["$location.coordinates", index] }, cellSize] } },
+      cellSize,
+    ],
+  });
+
+  const cells = await EmergencyRequest.aggregate([
+    { $match: { ...EMERGENCIES, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { latitude: cellStart(1), longitude: cellStart(0) },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  return cells.map(({ _id, count }) => ({
+    latitude: round6(_id.latitude),
+    longitude: round6(_id.longitude),
+    count,
+  }));
+};
+
+module.exports = { responseTimes, utilization, cancellations, heatmap, percentile };
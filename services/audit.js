@@ -0,0 +1,31 @@
+const AuditEvent = require("../models/AuditEvent");
+
+// Actor of changes nobody asked for directly: timeouts, stale presence,
+// expiring links
+const SYSTEM_ACTOR = { role: "system" };
+
+// The { userId, role } actor of an HTTP request, with the address it came from
+const actorOf = (req) => ({ userId: req.user?.userId, role: req.user?.userType, ip: req.ip });
+
+// Record a state change. `actor` is the { userId, role, vehicleId } used
+// across services, plus the `ip` or `socketId` the change came through.
+// `before` and `after` hold only the fields that changed, never secrets.
+// Location updates are not audited, they are kept in the location history.
+// The change has already happened, so a failure to record it is logged
+// rather than thrown.
+const audit = ({ actor = SYSTEM_ACTOR, action, entityType, entityId, before, after, reason }) =>
+  AuditEvent.create({
+    action,
+    entityType,
+    entityId: entityId?.toString(),
+    actorId: actor.userId,
+    actorRole: actor.role,
+    vehicleId: actor.vehicleId,
+    before,
+    after,
+    reason,
+    ip: actor.ip,
+    socketId: actor.socketId,
+  }).catch((error) => console.error(`❌ Error recording audit event ${action}:`, error));
+
+module.exports = { audit, actorOf, SYSTEM_ACTOR };
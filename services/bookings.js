@@ -0,0 +1,776 @@
+const Ambulance = require("../models/Ambulance");
+const Booking = require("../models/Booking");
+const BookingSchedule = require("../models/BookingSchedule");
+const EmergencyRequest = require("../models/Emergency");
+const User = require("../models/User");
+const Shift = require("../models/Shift");
+const { namespaces } = require("./realtime");
+const { vehicleRoom } = require("./dispatch");
+const { notifyUser } = require("./notifications");
+const { isVerified } = require("./driverOnboarding");
+const { VEHICLE_RANK } = require("./triage");
+const { audit, SYSTEM_ACTOR } = require("./audit");
+const { distanceKm, etaMinutes, toPoint, fromPoint } = require("../utils/geo");
+const { AppError, badRequest, forbidden, notFound, conflict } = require("../utils/errors");
+
+// Bookings become requests this long before their window opens, so the crew
+// has time to get to the pickup
+const CONVERT_LEAD_MINUTES = Number(process.env.BOOKING_CONVERT_LEAD_MINUTES) || 30;
+// Reminders to the requester and crew, in minutes before pickup
+const REMINDER_MINUTES = (process.env.BOOKING_REMINDER_MINUTES || "1440,60")
+  .split(",")
+  .map(Number)
+  .filter((minutes) => minutes > 0)
+  .sort((a, b) => b - a);
+// How far ahead recurring schedules have their bookings created
+const HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS) || 14;
+// Loading and unloading the patient, on top of the drive
+const HANDLING_MINUTES = Number(process.env.BOOKING_HANDLING_MINUTES) || 20;
+const MAX_WINDOW_HOURS = 12;
+const SCHEDULER_INTERVAL_MS = Number(process.env.BOOKING_SCHEDULER_INTERVAL_MS) || 60000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRANSPORT_LABELS = {
+  dialysis: "dialysis transport",
+  discharge: "discharge transport",
+  inter_hospital: "hospital transfer",
+  appointment: "appointment transport",
+  other: "patient transport",
+};
+
+const toPlace = ({ latitude, longitude, address }) => ({
+  ...toPoint(latitude, longitude),
+  address,
+});
+
+// Expected length of the trip itself: driving plus handling the patient
+const tripMinutes = (pickup, dropoff) =>
+  etaMinutes(
+    distanceKm(
+      pickup.coordinates[1],
+      pickup.coordinates[0],
+      dropoff.coordinates[1],
+      dropoff.coordinates[0]
+    )
+  ) + HANDLING_MINUTES;
+
+const formatBooking = (booking) => ({
+  id: booking._id,
+  requesterId: booking.requesterId,
+  patientName: booking.patientName,
+  patientPhone: booking.patientPhone,
+  transportType: booking.transportType,
+  pickup: fromPoint(booking.pickup),
+  dropoff: fromPoint(booking.dropoff),
+  dropoffHospitalId: booking.dropoffHospitalId,
+  windowStart: booking.windowStart,
+  windowEnd: booking.windowEnd,
+  busyUntil: booking.busyUntil,
+  vehicleType: booking.vehicleType,
+  notes: booking.notes,
+  vehicleId: booking.vehicleId,
+  scheduleId: booking.scheduleId,
+  status: booking.status,
+  requestId: booking.requestId,
+  createdAt: booking.createdAt,
+  convertedAt: booking.convertedAt,
+  cancelledAt: booking.cancelledAt,
+  cancellationReason: booking.cancellationReason,
+  failureReason: booking.failureReason,
+});
+
+const formatSchedule = (schedule) => ({
+  id: schedule._id,
+  requesterId: schedule.requesterId,
+  patientName: schedule.patientName,
+  transportType: schedule.transportType,
+  pickup: fromPoint(schedule.pickup),
+  dropoff: fromPoint(schedule.dropoff),
+  dropoffHospitalId: schedule.dropoffHospitalId,
+  vehicleType: schedule.vehicleType,
+  vehicleId: schedule.vehicleId,
+  daysOfWeek: schedule.daysOfWeek,
+  pickupTime: schedule.pickupTime,
+  windowMinutes: schedule.windowMinutes,
+  timeZone: schedule.timeZone,
+  startsOn: schedule.startsOn,
+  endsOn: schedule.endsOn,
+  createdAt: schedule.createdAt,
+  cancelledAt: schedule.cancelledAt,
+});
+
+// Time zones
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar date and time of `at` in `timeZone`
+const zonedParts = (at, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(at);
+  const part = (type) => Number(parts.find((candidate) => candidate.type === type).value);
+  return {
+    year: part("year"),
+    month: part("month"),
+    day: part("day"),
+    hour: part("hour"),
+    minute: part("minute"),
+    second: part("second"),
+  };
+};
+
+// The instant when a wall clock in `timeZone` shows `time` ("HH:MM") on the
+// calendar day of `day` (a UTC midnight). Adjusted twice to settle across
+// daylight saving changes.
+const zonedTime = (day, time, timeZone) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const wanted = Date.UTC(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    hours,
+    minutes
+  );
+
+  let guess = wanted;
+  for (let round = 0; round < 2; round += 1) {
+    const shown = zonedParts(new Date(guess), timeZone);
+    const shownMs = Date.UTC(
+      shown.year,
+      shown.month - 1,
+      shown.day,
+      shown.hour,
+      shown.minute,
+      shown.second
+    );
+    guess += wanted - shownMs;
+  }
+  return new Date(guess);
+};
+
+// UTC midnight of today's date in `timeZone`
+const today = (timeZone) => {
+  const { year, month, day } = zonedParts(new Date(), timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Assignment
+
+// Filter for other bookings that keep an ambulance busy during [start, end)
+const overlapping = (start, end) => ({
+  status: "scheduled",
+  windowStart: { $lt: end },
+  busyUntil: { $gt: start },
+});
+
+// Check an ambulance can run `booking`: verified, equipped for it, free of
+// other bookings for the whole time and, for fleet vehicles, driven by
+// someone on shift. `organizationId` limits operators to their own fleet.
+const checkAssignment = async (vehicleId, booking, { organizationId } = {}) => {
+  const ambulance = await Ambulance.findOne({ vehicleId })
+    .select("vehicleId vehicleType verificationStatus organizationId")
+    .lean();
+  if (!ambulance) throw notFound("Ambulance not found");
+  if (organizationId && ambulance.organizationId?.toString() !== organizationId.toString()) {
+    throw notFound("Vehicle not found in your fleet");
+  }
+  if (!isVerified(ambulance)) {
+    throw conflict(`Ambulance ${vehicleId} has not been verified`, "not_verified");
+  }
+  if ((VEHICLE_RANK[ambulance.vehicleType] ?? -1) < VEHICLE_RANK[booking.vehicleType]) {
+    throw conflict(`This booking needs a ${booking.vehicleType} ambulance`, "vehicle_unsuitable");
+  }
+
+  const other = await Booking.findOne({
+    ...overlapping(booking.windowStart, booking.busyUntil),
+    vehicleId,
+    _id: { $ne: booking._id },
+  })
+    .select("windowStart busyUntil")
+    .lean();
+  if (other) {
+    throw conflict(
+      `Ambulance ${vehicleId} is booked from ${other.windowStart.toISOString()} ` +
+        `to ${other.busyUntil.toISOString()}`,
+      "vehicle_booked"
+    );
+  }
+
+  if (ambulance.organizationId) {
+    const onShift = await Shift.exists({
+      vehicleId,
+      cancelledAt: null,
+      startsAt: { $lte: booking.windowStart },
+      endsAt: { $gte: booking.busyUntil },
+    });
+    if (!onShift) {
+      throw conflict("No driver is on shift with this vehicle for the whole booking", "no_shift");
+    }
+  }
+  return ambulance;
+};
+
+// Tell the crew about bookings given to or taken from their vehicle
+const notifyCrew = (vehicleId, event, booking) => {
+  namespaces.driverIo?.to(vehicleRoom(vehicleId)).emit(event, formatBooking(booking));
+};
+
+// Bookings
+
+// Details shared by one-off bookings and recurring schedules
+const bookingFields = (input, actor) => ({
+  // Admins may book on behalf of someone else
+  requesterId: (actor.role === "admin" && input.requesterId) || actor.userId,
+  patientName: input.patientName,
+  patientPhone: input.patientPhone,
+  transportType: input.transportType,
+  pickup: toPlace(input.pickup),
+  dropoff: toPlace(input.dropoff),
+  dropoffHospitalId: input.dropoffHospitalId,
+  vehicleType: input.vehicleType,
+  notes: input.notes,
+  createdBy: actor.userId,
+});
+
+const checkWindow = (windowStart, windowEnd) => {
+  if (windowEnd <= windowStart) {
+    throw badRequest("windowEnd must be after windowStart", "invalid_window");
+  }
+  if (windowEnd - windowStart > MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw badRequest(
+      `A pickup window cannot be longer than ${MAX_WINDOW_HOURS} hours`,
+      "invalid_window"
+    );
+  }
+  if (windowStart <= new Date()) {
+    throw badRequest("The pickup window has already started", "invalid_window");
+  }
+};
+
+// A one-off booking, optionally with its ambulance assigned right away
+const createBooking = async (input, actor, { organizationId } = {}) => {
+  const windowStart = new Date(input.windowStart);
+  const windowEnd = new Date(input.windowEnd);
+  checkWindow(windowStart, windowEnd);
+
+  const booking = new Booking({ ...bookingFields(input, actor), windowStart, windowEnd });
+  booking.busyUntil = new Date(
+    windowEnd.getTime() + tripMinutes(booking.pickup, booking.dropoff) * 60 * 1000
+  );
+  if (input.vehicleId) {
+    await checkAssignment(input.vehicleId, booking, { organizationId });
+    booking.vehicleId = input.vehicleId;
+  }
+  await booking.save();
+
+  audit({
+    actor,
+    action: "booking.created",
+    entityType: "Booking",
+    entityId: booking._id,
+    after: {
+      transportType: booking.transportType,
+      windowStart,
+      windowEnd,
+      vehicleId: booking.vehicleId,
+    },
+  });
+  if (booking.vehicleId) notifyCrew(booking.vehicleId, "booking-assigned", booking);
+  return booking.toObject();
+};
+
+const staleBooking = () =>
+  conflict("Booking was updated by someone else, please retry", "stale_booking");
+
+const findScheduledBooking = async (bookingId) => {
+  const booking = await Booking.findById(bookingId).lean();
+  if (!booking) throw notFound("Booking not found");
+  if (booking.status !== "scheduled") {
+    throw conflict(`Booking is already ${booking.status}`, "booking_closed");
+  }
+  return booking;
+};
+
+// Pre-assign (or re-assign) the ambulance that will run a booking
+const assignBooking = async (bookingId, vehicleId, actor, { organizationId } = {}) => {
+  const booking = await findScheduledBooking(bookingId);
+  await checkAssignment(vehicleId, booking, { organizationId });
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "scheduled", vehicleId: booking.vehicleId },
+    { vehicleId },
+    { new: true }
+  ).lean();
+  if (!updated) throw staleBooking();
+
+  audit({
+    actor,
+    action: "booking.assigned",
+    entityType: "Booking",
+    entityId: booking._id,
+    before: { vehicleId: booking.vehicleId },
+    after: { vehicleId },
+  });
+  if (booking.vehicleId && booking.vehicleId !== vehicleId) {
+    notifyCrew(booking.vehicleId, "booking-unassigned", updated);
+  }
+  notifyCrew(vehicleId, "booking-assigned", updated);
+  return updated;
+};
+
+// Operators may only take bookings off their own vehicles
+const unassignBooking = async (bookingId, actor, { organizationId } = {}) => {
+  const booking = await findScheduledBooking(bookingId);
+  if (!booking.vehicleId) return booking;
+  if (organizationId) {
+    const own = await Ambulance.exists({ vehicleId: booking.vehicleId, organizationId });
+    if (!own) throw forbidden("This booking is assigned outside your fleet");
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "scheduled", vehicleId: booking.vehicleId },
+    { vehicleId: null },
+    { new: true }
+  ).lean();
+  if (!updated) throw staleBooking();
+
+  audit({
+    actor,
+    action: "booking.unassigned",
+    entityType: "Booking",
+    entityId: booking._id,
+    before: { vehicleId: booking.vehicleId },
+    after: { vehicleId: null },
+  });
+  notifyCrew(booking.vehicleId, "booking-unassigned", updated);
+  return updated;
+};
+
+const cancelBooking = async (bookingId, actor, reason) => {
+  const booking = await findScheduledBooking(bookingId);
+  if (actor.role !== "admin" && booking.requesterId.toString() !== actor.userId?.toString()) {
+    throw forbidden("Not authorized to cancel this booking");
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: "scheduled" },
+    { status: "cancelled", cancelledAt: new Date(), cancellationReason: reason },
+    { new: true }
+  ).lean();
+  if (!updated) throw staleBooking();
+
+  audit({
+    actor,
+    action: "booking.cancelled",
+    entityType: "Booking",
+    entityId: booking._id,
+    before: { status: "scheduled" },
+    after: { status: "cancelled" },
+    reason,
+  });
+  if (booking.vehicleId) notifyCrew(booking.vehicleId, "booking-cancelled", updated);
+  return updated;
+};
+
+// Recurring schedules
+
+// Create the bookings of `schedule` for occurrences up to `until`. Its
+// preferred ambulance is assigned where it is free; conflicts are returned
+// so whoever booked can assign those occurrences themselves.
+const generateBookings = async (schedule, until) => {
+  const last = startOfDay(schedule.endsOn && schedule.endsOn < until ? schedule.endsOn : until);
+  const from = [schedule.generatedUntil, schedule.startsOn, today(schedule.timeZone)]
+    .filter(Boolean)
+    .reduce((latest, day) => (day > latest ? day : latest));
+
+  const created = [];
+  const conflicts = [];
+  for (let day = new Date(from); day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    if (!schedule.daysOfWeek.includes(day.getUTCDay())) continue;
+
+    const windowStart = zonedTime(day, schedule.pickupTime, schedule.timeZone);
+    if (windowStart <= new Date()) continue;
+    const windowEnd = new Date(windowStart.getTime() + schedule.windowMinutes * 60 * 1000);
+    const booking = new Booking({
+      requesterId: schedule.requesterId,
+      patientName: schedule.patientName,
+      patientPhone: schedule.patientPhone,
+      transportType: schedule.transportType,
+      pickup: schedule.pickup,
+      dropoff: schedule.dropoff,
+      dropoffHospitalId: schedule.dropoffHospitalId,
+      vehicleType: schedule.vehicleType,
+      notes: schedule.notes,
+      scheduleId: schedule._id,
+      windowStart,
+      windowEnd,
+      busyUntil: new Date(
+        windowEnd.getTime() + tripMinutes(schedule.pickup, schedule.dropoff) * 60 * 1000
+      ),
+      createdBy: schedule.createdBy,
+    });
+
+    if (schedule.vehicleId) {
+      try {
+        await checkAssignment(schedule.vehicleId, booking);
+        booking.vehicleId = schedule.vehicleId;
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        conflicts.push({ windowStart, code: error.code, message: error.message });
+      }
+    }
+
+    try {
+      await booking.save();
+      created.push(booking.toObject());
+    } catch (error) {
+      if (error.code !== 11000) throw error; // already created, e.g. by another instance
+    }
+  }
+
+  await BookingSchedule.updateOne(
+    { _id: schedule._id, cancelledAt: null },
+    { generatedUntil: new Date(last.getTime() + DAY_MS) }
+  );
+  for (const booking of created) {
+    if (booking.vehicleId) notifyCrew(booking.vehicleId, "booking-assigned", booking);
+  }
+  return { created, conflicts };
+};
+
+const horizon = () => new Date(Date.now() + HORIZON_DAYS * DAY_MS);
+
+const createSchedule = async (input, actor) => {
+  if (!isTimeZone(input.timeZone)) {
+    throw badRequest(`Unknown time zone: ${input.timeZone}`, "invalid_time_zone");
+  }
+  if (input.endsOn && input.endsOn < input.startsOn) {
+    throw badRequest("endsOn must not be before startsOn", "invalid_schedule");
+  }
+  if (input.vehicleId && !(await Ambulance.exists({ vehicleId: input.vehicleId }))) {
+    throw notFound("Ambulance not found");
+  }
+
+  const schedule = await BookingSchedule.create({
+    ...bookingFields(input, actor),
+    vehicleId: input.vehicleId,
+    daysOfWeek: [...new Set(input.daysOfWeek)],
+    pickupTime: input.pickupTime,
+    windowMinutes: input.windowMinutes,
+    timeZone: input.timeZone,
+    startsOn: startOfDay(input.startsOn),
+    endsOn: input.endsOn && startOfDay(input.endsOn),
+  });
+  audit({
+    actor,
+    action: "booking_schedule.created",
+    entityType: "BookingSchedule",
+    entityId: schedule._id,
+    after: {
+      transportType: schedule.transportType,
+      daysOfWeek: schedule.daysOfWeek,
+      pickupTime: schedule.pickupTime,
+      timeZone: schedule.timeZone,
+      vehicleId: schedule.vehicleId,
+    },
+  });
+
+  const { created, conflicts } = await generateBookings(schedule.toObject(), horizon());
+  return { schedule: schedule.toObject(), bookings: created, conflicts };
+};
+
+// Stop a schedule and cancel its bookings that have not started yet
+const cancelSchedule = async (scheduleId, actor, reason) => {
+  const schedule = await BookingSchedule.findById(scheduleId).lean();
+  if (!schedule) throw notFound("Booking schedule not found");
+  if (actor.role !== "admin" && schedule.requesterId.toString() !== actor.userId?.toString()) {
+    throw forbidden("Not authorized to cancel this schedule");
+  }
+
+  const updated = await BookingSchedule.findOneAndUpdate(
+    { _id: schedule._id, cancelledAt: null },
+    { cancelledAt: new Date() },
+    { new: true }
+  ).lean();
+  if (!updated) throw conflict("Schedule is already cancelled", "schedule_cancelled");
+
+  const upcoming = await Booking.find({ scheduleId: schedule._id, status: "scheduled" }).lean();
+  await Booking.updateMany(
+    { scheduleId: schedule._id, status: "scheduled" },
+    { status: "cancelled", cancelledAt: updated.cancelledAt, cancellationReason: reason }
+  );
+  for (const booking of upcoming) {
+    if (booking.vehicleId) notifyCrew(booking.vehicleId, "booking-cancelled", booking);
+  }
+
+  audit({
+    actor,
+    action: "booking_schedule.cancelled",
+    entityType: "BookingSchedule",
+    entityId: schedule._id,
+    after: { cancelledBookings: upcoming.length },
+    reason,
+  });
+  return { schedule: updated, cancelledBookings: upcoming.length };
+};
+
+// Scheduled bookings of an ambulance for the crew's planning
+const upcomingBookings = (vehicleId, days = 7) =>
+  Booking.find({
+    vehicleId,
+    status: "scheduled",
+    windowStart: { $lte: new Date(Date.now() + days * DAY_MS) },
+  })
+    .sort({ windowStart: 1 })
+    .lean();
+
+// Driver of an ambulance at `at`: the one on shift, otherwise its owner
+const crewMemberOf = async (vehicleId, at) => {
+  const shift = await Shift.findOne({
+    vehicleId,
+    cancelledAt: null,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  })
+    .select("driverId")
+    .lean();
+  if (shift) return shift.driverId;
+
+  const ambulance = await Ambulance.findOne({ vehicleId }).select("userId").lean();
+  return ambulance?.userId;
+};
+
+const sendReminder = async (booking) => {
+  const data = {
+    transport: TRANSPORT_LABELS[booking.transportType],
+    startsInMinutes: Math.max(0, Math.round((booking.windowStart - Date.now()) / 60000)),
+    address: booking.pickup.address,
+    vehicleId: booking.vehicleId,
+  };
+  const remindRequester = async () => {
+    // Push to their devices, or an SMS when they have none registered
+    const requester = await User.findById(booking.requesterId)
+      .select("email number deviceTokens")
+      .lean();
+    if (!requester) return;
+    await notifyUser(requester, "booking_reminder", data, {
+      channels: requester.deviceTokens?.length ? ["push"] : ["sms"],
+    });
+  };
+
+  const remindCrew = async () => {
+    notifyCrew(booking.vehicleId, "booking-reminder", booking);
+    const driverId = await crewMemberOf(booking.vehicleId, booking.windowStart);
+    if (driverId) await notifyUser(driverId, "booking_crew_reminder", data);
+  };
+
+  // The reminder counts as sent once claimed: deliveries that fail are retried
+  // by the delivery retrier, and one recipient failing does not stop the other
+  const recipients = [["requester", remindRequester]];
+  if (booking.vehicleId) recipients.push(["crew", remindCrew]);
+  await Promise.all(
+    recipients.map(([recipient, remind]) =>
+      remind().catch((error) =>
+        console.error(`❌ Error reminding the ${recipient} of booking ${booking._id}:`, error)
+      )
+    )
+  );
+};
+
+// Periodically extends recurring schedules, sends reminders and converts
+// bookings that are due into requests, handed to `onDue(request, booking)` to
+// assign or dispatch. Every step claims its booking with a conditional
+// update, so several server instances never act on one twice.
+const createBookingScheduler = ({ onDue }) => {
+  let timer = null;
+
+  const extendSchedules = async () => {
+    const until = horizon();
+    const schedules = await BookingSchedule.find({
+      cancelledAt: null,
+      $and: [
+        { $or: [{ generatedUntil: null }, { generatedUntil: { $lt: until } }] },
+        { $or: [{ endsOn: null }, { endsOn: { $gte: new Date() } }] },
+      ],
+    }).lean();
+
+    for (const schedule of schedules) {
+      const { conflicts } = await generateBookings(schedule, until);
+      if (conflicts.length) {
+        console.log(
+          `📅 ${conflicts.length} booking(s) of schedule ${schedule._id} left unassigned`
+        );
+      }
+    }
+  };
+
+  // Only the closest reminder is sent when several are due at once, e.g. for
+  // a booking made an hour before pickup
+  const sendReminders = async () => {
+    if (!REMINDER_MINUTES.length) return;
+
+    const now = Date.now();
+    const bookings = await Booking.find({
+      status: "scheduled",
+      windowStart: { $gt: new Date(now), $lte: new Date(now + REMINDER_MINUTES[0] * 60000) },
+    }).lean();
+
+    for (const booking of bookings) {
+      const due = REMINDER_MINUTES.filter(
+        (minutes) =>
+          booking.windowStart - minutes * 60000 <= now && !booking.remindersSent.includes(minutes)
+      );
+      if (!due.length) continue;
+
+      const claimed = await Booking.updateOne(
+        { _id: booking._id, status: "scheduled", remindersSent: { $nin: due } },
+        { $addToSet: { remindersSent: { $each: due } } }
+      );
+      if (claimed.modifiedCount) await sendReminder(booking);
+    }
+  };
+
+  // A booking nobody converted before its window closed is not started late
+  const expireMissed = async () => {
+    const missed = await Booking.find({ status: "scheduled", windowEnd: { $lt: new Date() } })
+      .select("_id")
+      .lean();
+    for (const { _id } of missed) {
+      const failed = await Booking.findOneAndUpdate(
+        { _id, status: "scheduled" },
+        { status: "failed", failureReason: "The pickup window passed" }
+      ).lean();
+      if (failed) {
+        audit({
+          action: "booking.failed",
+          entityType: "Booking",
+          entityId: _id,
+          after: { status: "failed" },
+          reason: "The pickup window passed",
+        });
+      }
+    }
+  };
+
+  const toRequest = (booking) =>
+    EmergencyRequest.create({
+      requesterId: booking.requesterId,
+      location: booking.pickup,
+      dropoff: booking.dropoff,
+      destinationHospitalId: booking.dropoffHospitalId,
+      emergencyDetails: [
+        `Planned ${TRANSPORT_LABELS[booking.transportType]}`,
+        booking.patientName && `Patient: ${booking.patientName}`,
+        booking.patientPhone && `Phone: ${booking.patientPhone}`,
+        booking.notes,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      criticalLevel: "low",
+      requiredVehicleType: booking.vehicleType,
+      bookingId: booking._id,
+      status: "pending",
+    });
+
+  const convertDue = async () => {
+    for (;;) {
+      const now = new Date();
+      const booking = await Booking.findOneAndUpdate(
+        {
+          status: "scheduled",
+          windowStart: { $lte: new Date(now.getTime() + CONVERT_LEAD_MINUTES * 60000) },
+          windowEnd: { $gte: now },
+        },
+        { status: "converted", convertedAt: now },
+        { new: true, sort: { windowStart: 1 } }
+      ).lean();
+      if (!booking) return;
+
+      let request;
+      try {
+        request = await toRequest(booking);
+      } catch (error) {
+        // Requesters see the reason, the error itself is only logged
+        console.error(`❌ Error converting booking ${booking._id}:`, error);
+        await Booking.updateOne(
+          { _id: booking._id },
+          { status: "failed", failureReason: "The transport could not be started" }
+        );
+        continue;
+      }
+
+      await Booking.updateOne({ _id: booking._id }, { requestId: request._id });
+      audit({
+        action: "booking.converted",
+        entityType: "Booking",
+        entityId: booking._id,
+        before: { status: "scheduled" },
+        after: { status: "converted", requestId: request._id },
+      });
+      audit({
+        actor: SYSTEM_ACTOR,
+        action: "request.created",
+        entityType: "EmergencyRequest",
+        entityId: request._id,
+        after: { bookingId: booking._id, requiredVehicleType: request.requiredVehicleType },
+      });
+      console.log(`📅 Booking ${booking._id} converted into request ${request._id}`);
+
+      try {
+        await onDue(request, booking);
+      } catch (error) {
+        console.error(`❌ Error starting booked trip ${request._id}:`, error);
+      }
+    }
+  };
+
+  const run = async () => {
+    for (const step of [extendSchedules, sendReminders, expireMissed, convertDue]) {
+      try {
+        await step();
+      } catch (error) {
+        console.error(`❌ Error running booking scheduler (${step.name}):`, error);
+      }
+    }
+  };
+
+  return {
+    run,
+    start: () => {
+      timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+      timer.unref();
+    },
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  createBooking,
+  assignBooking,
+  unassignBooking,
+  cancelBooking,
+  createSchedule,
+  cancelSchedule,
+  upcomingBookings,
+  createBookingScheduler,
+  formatBooking,
+  formatSchedule,
+};
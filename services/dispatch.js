@@ -0,0 +1,213 @@
+const Ambulance = require("../models/Ambulance");
+const { fromPoint } = require("../utils/geo");
+const { findNearbyAmbulances } = require("./ambulanceSearch");
+const { emitToServers } = require("./realtime");
+const { requiredVehicleType, patientDetails, VEHICLE_RANK } = require("./triage");
+
+// How long a driver has to answer an offer before it moves to the next candidate
+const OFFER_TIMEOUT_MS = Number(process.env.DISPATCH_OFFER_TIMEOUT_MS) || 30000;
+// Ambulances whose last location is older than this are not considered
+const LOCATION_MAX_AGE_MS =
+  Number(process.env.DISPATCH_LOCATION_MAX_AGE_MS) || 2 * 60 * 1000;
+const MAX_CANDIDATES = Number(process.env.DISPATCH_MAX_CANDIDATES) || 10;
+const SEARCH_RADIUS_KM = Number(process.env.DISPATCH_RADIUS_KM) || 25;
+
+// Extra kilometers added to a candidate's distance per level of vehicle mismatch.
+// An under-equipped vehicle is penalised much more than an over-equipped one.
+const UNDER_EQUIPPED_PENALTY_KM = 5;
+const OVER_EQUIPPED_PENALTY_KM = 1;
+
+const vehiclePenaltyKm = (vehicleType, wantedType) => {
+  const wanted = VEHICLE_RANK[wantedType] ?? 0;
+  const actual = VEHICLE_RANK[vehicleType] ?? 0;
+
+  if (actual < wanted) return (wanted - actual) * UNDER_EQUIPPED_PENALTY_KM;
+  return (actual - wanted) * OVER_EQUIPPED_PENALTY_KM;
+};
+
+// Sort ambulances (with `distanceKm` already set) by distance to the
+// request, adjusted for how well they fit the vehicle type it needs
+const rankAmbulances = (ambulances, wantedType) =>
+  ambulances
+    .map((ambulance) => ({
+      vehicleId: ambulance.vehicleId,
+      vehicleType: ambulance.vehicleType,
+      distanceKm: ambulance.distanceKm,
+      score:
+        ambulance.distanceKm + vehiclePenaltyKm(ambulance.vehicleType, wantedType),
+    }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, MAX_CANDIDATES);
+
+const findCandidates = async (request, exclude) => {
+  const { latitude, longitude } = fromPoint(request.location);
+  const ambulances = await findNearbyAmbulances({
+    latitude,
+    longitude,
+    radiusKm: SEARCH_RADIUS_KM,
+    status: ["available"],
+    updatedSince: new Date(Date.now() - LOCATION_MAX_AGE_MS),
+    // Fetch extra so a well-equipped vehicle slightly further away can win
+    limit: MAX_CANDIDATES * 3,
+  });
+
+  return rankAmbulances(
+    ambulances.filter((ambulance) => !exclude.includes(ambulance.vehicleId)),
+    requiredVehicleType(request)
+  );
+};
+
+const vehicleRoom = (vehicleId) => `vehicle-${vehicleId}`;
+
+// Offers a request to one ambulance at a time, best candidate first.
+// `onExhausted` is called when nobody accepted so the caller can fall back.
+// The cascade (and its timers) runs on the instance that started it, while
+// `offerHolders` (a shared state store collection) records who currently
+// holds each offer so every instance can check it.
+const createDispatcher = ({ driverIo, onExhausted, offerHolders }) => {
+  const offers = new Map(); // requestId -> { request, candidates, index, current, timer }
+
+  const offerPayload = (request, candidate) => ({
+    requestId: request._id,
+    location: fromPoint(request.location),
+    ...patientDetails(request),
+    createdAt: request.createdAt,
+    distanceKm: Number(candidate.distanceKm.toFixed(2)),
+    expiresAt: new Date(Date.now() + OFFER_TIMEOUT_MS),
+  });
+
+  const isReachable = async (vehicleId) => {
+    const stillAvailable = await Ambulance.exists({ vehicleId, status: "available" });
+    if (!stillAvailable) return false;
+
+    const sockets = await driverIo.in(vehicleRoom(vehicleId)).fetchSockets();
+    return sockets.length > 0;
+  };
+
+  const offerNext = async (requestId) => {
+    const offer = offers.get(requestId);
+    if (!offer) return;
+
+    clearTimeout(offer.timer);
+    offer.current = null;
+    await offerHolders.set(requestId, null);
+
+    while (offer.index < offer.candidates.length) {
+      const candidate = offer.candidates[offer.index];
+
+      try {
+        if (await isReachable(candidate.vehicleId)) break;
+      } catch (error) {
+        console.error("❌ Error checking dispatch candidate:", error);
+      }
+      offer.index += 1;
+    }
+
+    // The request may have been accepted or cancelled while we were checking
+    if (offers.get(requestId) !== offer) return;
+
+    const candidate = offer.candidates[offer.index];
+    if (!candidate) {
+      offers.delete(requestId);
+      await offerHolders.delete(requestId);
+      console.log(`📢 No ambulance accepted request ${requestId}, falling back`);
+      onExhausted(offer.request);
+      return;
+    }
+
+    offer.current = candidate.vehicleId;
+    await offerHolders.set(requestId, candidate.vehicleId);
+    driverIo
+      .to(vehicleRoom(candidate.vehicleId))
+      .emit("emergency-offer", offerPayload(offer.request, candidate));
+    console.log(
+      `📨 Offered request ${requestId} to ${candidate.vehicleId} (${candidate.distanceKm.toFixed(2)} km)`
+    );
+
+    offer.timer = setTimeout(() => {
+      console.log(`⏰ Offer for ${requestId} to ${candidate.vehicleId} timed out`);
+      driverIo
+        .to(vehicleRoom(candidate.vehicleId))
+        .emit("offer-expired", { requestId });
+      offer.index += 1;
+      advance(requestId);
+    }, OFFER_TIMEOUT_MS);
+  };
+
+  // Move to the next candidate after a timeout or decline, where nobody
+  // awaits the cascade. It stops if that fails.
+  const advance = (requestId) =>
+    offerNext(requestId).catch((error) => {
+      console.error(`❌ Error dispatching request ${requestId}:`, error);
+      return stopLocally(requestId).catch((stopError) =>
+        console.error(`❌ Error stopping dispatch of ${requestId}:`, stopError)
+      );
+    });
+
+  // `exclude` lists vehicles not to offer it to, e.g. one that gave it up.
+  // A cascade still running for the request, here or elsewhere, is stopped
+  // first so its timer cannot move the new one along.
+  const dispatch = async (request, { exclude = [] } = {}) => {
+    const requestId = request._id.toString();
+    await stop(requestId);
+    const candidates = await findCandidates(request, exclude);
+
+    offers.set(requestId, {
+      request,
+      candidates,
+      index: 0,
+      current: null,
+      timer: null,
+    });
+    console.log(`🧭 Dispatching ${requestId} to ${candidates.length} candidate(s)`);
+    await offerNext(requestId);
+  };
+
+  // Vehicle currently holding the offer for a request, if dispatch is still running
+  const offeredTo = async (requestId) => (await offerHolders.get(requestId)) || null;
+
+  const isDispatching = (requestId) => offerHolders.has(requestId);
+
+  const declineLocally = (requestId, vehicleId) => {
+    const offer = offers.get(requestId);
+    if (offer?.current !== vehicleId) return;
+
+    console.log(`🙅 ${vehicleId} declined request ${requestId}`);
+    offer.index += 1;
+    advance(requestId);
+  };
+
+  const stopLocally = async (requestId) => {
+    const offer = offers.get(requestId);
+    if (!offer) return;
+
+    clearTimeout(offer.timer);
+    offers.delete(requestId);
+    await offerHolders.delete(requestId);
+  };
+
+  // Decline the offer held by `vehicleId`, wherever its cascade is running
+  const decline = async (requestId, vehicleId) => {
+    if ((await offeredTo(requestId)) !== vehicleId) return false;
+
+    declineLocally(requestId, vehicleId);
+    emitToServers(driverIo, "dispatch-decline", { requestId, vehicleId });
+    return true;
+  };
+
+  // Stop dispatching a request (accepted or cancelled)
+  const stop = async (requestId) => {
+    await stopLocally(requestId);
+    emitToServers(driverIo, "dispatch-stop", { requestId });
+  };
+
+  // Messages from other instances about cascades running here
+  driverIo.on("dispatch-decline", ({ requestId, vehicleId }) =>
+    declineLocally(requestId, vehicleId)
+  );
+  driverIo.on("dispatch-stop", ({ requestId }) => stopLocally(requestId));
+
+  return { dispatch, decline, offeredTo, stop, isDispatching };
+};
+
+module.exports = { createDispatcher, rankAmbulances, vehicleRoom };
@@ -0,0 +1,141 @@
+const Ambulance = require("../models/Ambulance");
+const { notifyUser } = require("./notifications");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+const VEHICLE_TYPES = Ambulance.schema.path("vehicleType").enumValues;
+const NOT_VERIFIED = ["pending_verification", "rejected"];
+
+// "kl 07-ab 1234" -> "KL07AB1234"
+const normalizePlate = (plate) => String(plate || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// Vehicle ids are derived from the plate, so one vehicle can only be registered once
+const vehicleIdForPlate = (plate) => `AMB-${plate}`;
+
+const isVerified = (ambulance) => !NOT_VERIFIED.includes(ambulance?.verificationStatus);
+
+// Check and normalize what a driver submits for verification.
+// `equipmentLevel` is the vehicle type the ambulance is equipped as. Fleet
+// vehicles have no single driver, so no licence is asked for them.
+const parseSubmission = (
+  { licenseNumber, registrationNumber, equipmentLevel },
+  { requireLicense = true } = {}
+) => {
+  const plate = normalizePlate(registrationNumber);
+  if (plate.length < 4 || plate.length > 15) {
+    throw badRequest("A valid vehicle registrationNumber is required", "invalid_plate");
+  }
+  if (requireLicense && (!licenseNumber || !String(licenseNumber).trim())) {
+    throw badRequest("licenseNumber is required", "license_required");
+  }
+  const vehicleType = equipmentLevel || "basic";
+  if (!VEHICLE_TYPES.includes(vehicleType)) {
+    throw badRequest(`equipmentLevel must be one of ${VEHICLE_TYPES.join(", ")}`);
+  }
+  return {
+    plate,
+    licenseNumber: licenseNumber ? String(licenseNumber).trim() : undefined,
+    vehicleType,
+  };
+};
+
+const ensurePlateAvailable = async (plate, ownVehicleId) => {
+  const filter = {
+    $or: [{ registrationNumber: plate }, { vehicleId: vehicleIdForPlate(plate) }],
+  };
+  if (ownVehicleId) filter.vehicleId = { $ne: ownVehicleId };
+
+  const taken = await Ambulance.exists(filter);
+  if (taken) throw conflict("This vehicle is already registered", "vehicle_registered");
+};
+
+// Duplicate key from the unique indexes when two registrations race
+const rethrowDuplicate = (error) => {
+  if (error.code === 11000) {
+    throw conflict("This vehicle is already registered", "vehicle_registered");
+  }
+  throw error;
+};
+
+// Ambulance record for a newly registered driver (`owner.userId`) or a
+// fleet operator (`owner.organizationId`), waiting for an admin
+const registerAmbulance = async ({ userId, organizationId }, submission) => {
+  const { plate, licenseNumber, vehicleType } = parseSubmission(submission, {
+    requireLicense: !organizationId,
+  });
+  await ensurePlateAvailable(plate);
+
+  return Ambulance.create({
+    userId,
+    organizationId,
+    vehicleId: vehicleIdForPlate(plate),
+    registrationNumber: plate,
+    licenseNumber,
+    vehicleType,
+    status: "offline",
+    verificationStatus: "pending_verification",
+    verificationSubmittedAt: new Date(),
+  }).catch(rethrowDuplicate);
+};
+
+// A driver corrects their details, e.g. after a rejection. Only possible
+// while the ambulance has not been approved, so its vehicleId is not in use yet.
+const resubmitVerification = async (userId, submission) => {
+  const ambulance = await Ambulance.findOne({ userId });
+  if (!ambulance) throw notFound("No ambulance registered for this account");
+  if (isVerified(ambulance)) throw conflict("Ambulance is already verified", "already_verified");
+
+  const { plate, licenseNumber, vehicleType } = parseSubmission(submission);
+  await ensurePlateAvailable(plate, ambulance.vehicleId);
+
+  Object.assign(ambulance, {
+    vehicleId: vehicleIdForPlate(plate),
+    registrationNumber: plate,
+    licenseNumber,
+    vehicleType,
+    verificationStatus: "pending_verification",
+    verificationSubmittedAt: new Date(),
+    rejectionReason: null,
+  });
+  return ambulance.save().catch(rethrowDuplicate);
+};
+
+// Record an admin's decision on an ambulance waiting for verification
+const reviewAmbulance = async (vehicleId, adminId, { approved, reason }) => {
+  const ambulance = await Ambulance.findOneAndUpdate(
+    { vehicleId, verificationStatus: "pending_verification" },
+    {
+      verificationStatus: approved ? "approved" : "rejected",
+      verifiedAt: new Date(),
+      verifiedBy: adminId,
+      rejectionReason: approved ? null : reason,
+    },
+    { new: true }
+  ).lean();
+  if (!ambulance) {
+    throw notFound("No ambulance waiting for verification with this id");
+  }
+
+  // The decision stands even if the driver cannot be told right away
+  if (ambulance.userId) {
+    notifyUser(
+      ambulance.userId,
+      approved ? "ambulance_approved" : "ambulance_rejected",
+      { vehicleId: ambulance.vehicleId, reason },
+      { channels: ["email", "push"] }
+    ).catch((error) => console.error("❌ Error notifying driver:", error));
+  }
+
+  console.log(
+    `🪪 Ambulance ${vehicleId} ${approved ? "approved" : "rejected"} by admin ${adminId}`
+  );
+  return ambulance;
+};
+
+module.exports = {
+  registerAmbulance,
+  resubmitVerification,
+  reviewAmbulance,
+  isVerified,
+  normalizePlate,
+  NOT_VERIFIED,
+};
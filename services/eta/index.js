@@ -0,0 +1,91 @@
+const createStraightLineProvider = require("./straightLineProvider");
+const createOsrmProvider = require("./osrmProvider");
+
+// How often the ETA of an ambulance on a trip is recalculated
+const ETA_REFRESH_MS = Number(process.env.ETA_REFRESH_MS) || 15000;
+
+// ETA_PROVIDER selects how travel times are estimated: "straight_line"
+// (default) or "osrm" (a routing server at OSRM_URL)
+const createProvider = () => {
+  if (process.env.ETA_PROVIDER === "osrm") {
+    return createOsrmProvider({
+      baseUrl: process.env.OSRM_URL || "http://localhost:5000",
+      profile: process.env.OSRM_PROFILE,
+      timeoutMs: Number(process.env.OSRM_TIMEOUT_MS) || undefined,
+    });
+  }
+  return createStraightLineProvider();
+};
+
+// Travel estimates between { latitude, longitude } points, resolving to
+// { distanceKm, etaMinutes, source }. A provider is an object with
+// `route(from, to)` and `table(origins, to)`, see straightLineProvider.js.
+// When it fails the straight-line estimate is used, so callers always get one.
+const createEtaService = (provider = createProvider()) => {
+  const fallback = createStraightLineProvider();
+  const tag = (estimate, source) => estimate && { ...estimate, source };
+
+  const estimate = async (from, to) => {
+    try {
+      return tag(await provider.route(from, to), provider.name);
+    } catch (error) {
+      console.error(`❌ ${provider.name} ETA failed, using straight line:`, error.message);
+      return tag(await fallback.route(from, to), fallback.name);
+    }
+  };
+
+  // One estimate per origin, in the same order
+  const estimateMany = async (origins, to) => {
+    if (!origins.length) return [];
+
+    let estimates;
+    try {
+      estimates = (await provider.table(origins, to)).map((item) => tag(item, provider.name));
+    } catch (error) {
+      console.error(`❌ ${provider.name} ETA failed, using straight line:`, error.message);
+      estimates = [];
+    }
+    return Promise.all(
+      origins.map(
+        async (origin, index) =>
+          estimates[index] || tag(await fallback.route(origin, to), fallback.name)
+      )
+    );
+  };
+
+  return { provider: provider.name, estimate, estimateMany };
+};
+
+// Latest ETA of each ambulance on a trip. Recalculated at most every
+// `refreshMs`, or at once when the destination changes (patient picked up,
+// hospital selected), so routing engines are not queried on every position.
+const createTripEtas = ({ eta, refreshMs = ETA_REFRESH_MS }) => {
+  const latest = new Map(); // vehicleId -> { requestId, target, ..., at }
+
+  // Returns { estimate, changed }
+  const update = async (vehicleId, { requestId, target, from, to }) => {
+    const previous = latest.get(vehicleId);
+    const fresh =
+      previous &&
+      previous.requestId === requestId &&
+      previous.target === target &&
+      Date.now() - previous.at < refreshMs;
+    if (fresh) return { estimate: previous, changed: false };
+
+    const estimate = { requestId, target, ...(await eta.estimate(from, to)), at: Date.now() };
+    latest.set(vehicleId, estimate);
+    return { estimate, changed: true };
+  };
+
+  return { update, forget: (vehicleId) => latest.delete(vehicleId) };
+};
+
+const eta = createEtaService();
+
+module.exports = {
+  eta,
+  createEtaService,
+  createTripEtas,
+  createStraightLineProvider,
+  createOsrmProvider,
+};
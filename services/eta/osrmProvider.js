@@ -0,0 +1,49 @@
+// Road routing through an OSRM server (http://project-osrm.org), e.g. one
+// hosted next to this server with the region's map data
+const createOsrmProvider = ({ baseUrl, profile = "driving", timeoutMs = 3000 }) => {
+  // OSRM takes "longitude,latitude" pairs separated by ";"
+  const coordinates = (points) =>
+    points.map(({ latitude, longitude }) => `${longitude},${latitude}`).join(";");
+
+  const get = async (service, points, query) => {
+    const url = `${baseUrl}/${service}/v1/${profile}/${coordinates(points)}?${query}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.code !== "Ok") {
+      throw new Error(`OSRM ${service} failed: ${body.message || body.code || response.status}`);
+    }
+    return body;
+  };
+
+  const toEstimate = (meters, seconds) => ({
+    distanceKm: meters / 1000,
+    etaMinutes: Math.max(1, Math.round(seconds / 60)),
+  });
+
+  return {
+    name: "osrm",
+
+    route: async (from, to) => {
+      const { routes } = await get("route", [from, to], "overview=false");
+      return toEstimate(routes[0].distance, routes[0].duration);
+    },
+
+    // Many ambulances to one destination in a single request
+    table: async (origins, to) => {
+      const sources = origins.map((origin, index) => index).join(";");
+      const { durations, distances } = await get(
+        "table",
+        [...origins, to],
+        `sources=${sources}&destinations=${origins.length}&annotations=duration,distance`
+      );
+      // null when OSRM found no route, e.g. a position off the road network
+      return origins.map((origin, index) =>
+        durations[index][0] === null
+          ? null
+          : toEstimate(distances[index][0], durations[index][0])
+      );
+    },
+  };
+};
+
+module.exports = createOsrmProvider;
@@ -0,0 +1,18 @@
+const { distanceKm, etaMinutes } = require("../../utils/geo");
+
+// Great-circle distance at AVERAGE_SPEED_KMH. Needs no network, so it is the
+// default and the fallback when a routing engine fails.
+const createStraightLineProvider = () => {
+  const route = async (from, to) => {
+    const km = distanceKm(from.latitude, from.longitude, to.latitude, to.longitude);
+    return { distanceKm: km, etaMinutes: etaMinutes(km) };
+  };
+
+  return {
+    name: "straight_line",
+    route,
+    table: (origins, to) => Promise.all(origins.map((from) => route(from, to))),
+  };
+};
+
+module.exports = createStraightLineProvider;
@@ -0,0 +1,75 @@
+const Hospital = require("../models/Hospital");
+const { etaMinutes, toPoint, fromPoint } = require("../utils/geo");
+
+const CAPACITY_TYPES = ["beds", "icu", "trauma"];
+
+// Capacity a patient at each critical level can use, best fit first
+const REQUIRED_CAPACITY = {
+  critical: ["icu", "trauma"],
+  high: ["trauma", "icu", "beds"],
+  medium: ["beds"],
+  low: ["beds"],
+};
+
+const formatHospital = (hospital) => ({
+  id: hospital._id,
+  name: hospital.name,
+  phone: hospital.phone,
+  location: fromPoint(hospital.location),
+  specialties: hospital.specialties,
+  capacity: hospital.capacity,
+  acceptingPatients: hospital.acceptingPatients,
+  capacityUpdatedAt: hospital.capacityUpdatedAt,
+});
+
+// Nearest hospitals that can take a patient of the given critical level,
+// with distance and ETA from the ambulance's position
+const recommendHospitals = async ({
+  latitude,
+  longitude,
+  criticalLevel = "medium",
+  specialty,
+  radiusKm = 50,
+  limit = 5,
+}) => {
+  const capacityTypes = REQUIRED_CAPACITY[criticalLevel] || REQUIRED_CAPACITY.medium;
+  const query = {
+    acceptingPatients: true,
+    $or: capacityTypes.map((type) => ({ [`capacity.${type}.available`]: { $gt: 0 } })),
+  };
+  if (specialty) query.specialties = specialty;
+
+  const hospitals = await Hospital.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(latitude, longitude),
+        key: "location",
+        distanceField: "distanceMeters",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+  ]);
+
+  return hospitals.map((hospital) => {
+    const km = hospital.distanceMeters / 1000;
+    return {
+      ...formatHospital(hospital),
+      // First capacity type in order of preference that has room
+      matchedCapacity: capacityTypes.find(
+        (type) => hospital.capacity?.[type]?.available > 0
+      ),
+      distanceKm: Number(km.toFixed(2)),
+      etaMinutes: etaMinutes(km),
+    };
+  });
+};
+
+module.exports = {
+  recommendHospitals,
+  formatHospital,
+  CAPACITY_TYPES,
+  REQUIRED_CAPACITY,
+};
@@ -0,0 +1,546 @@
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const Incident = require("../models/Incident");
+const { incidentRoom, emitToIncident, emitToRequest } = require("./realtime");
+const { vehicleRoom } = require("./dispatch");
+const {
+  claimAmbulance,
+  releaseAmbulance,
+  ACTIVE_STATUSES,
+  AMBULANCE_STATUS,
+} = require("./requestLifecycle");
+const { ENDED_STATUSES } = require("./shareLinks");
+const { requiredVehicleType, VEHICLE_RANK } = require("./triage");
+const { audit, SYSTEM_ACTOR } = require("./audit");
+const { toPoint, fromPoint } = require("../utils/geo");
+const { badRequest, forbidden, notFound, conflict } = require("../utils/errors");
+
+// Most units a single incident may ask for
+const MAX_UNITS = Number(process.env.INCIDENT_MAX_UNITS) || 50;
+
+// Unit status changes its crew may make
+const UNIT_TRANSITIONS = {
+  accepted: ["arrived", "in_progress"],
+  arrived: ["in_progress"],
+  in_progress: ["completed"],
+};
+
+// Timestamp recorded when a unit enters each status
+const UNIT_TIMESTAMPS = {
+  accepted: "acceptedAt",
+  arrived: "arrivedAt",
+  in_progress: "pickedUpAt",
+  completed: "completedAt",
+};
+
+// Unit statuses that keep a crew on the incident
+const BUSY_UNIT_STATUSES = ["accepted", "arrived", "in_progress"];
+// A crew may stand down until a patient is on board
+const RELEASABLE_UNIT_STATUSES = ["accepted", "arrived"];
+
+// Open units any crew may accept. The unit of an escalated request is filled
+// by whoever runs that request.
+const isAcceptable = (unit) => unit.status === "open" && !unit.requestId;
+
+const formatUnit = (unit) => ({
+  id: unit._id,
+  vehicleType: unit.vehicleType,
+  vehicleId: unit.vehicleId,
+  status: unit.status,
+  requestId: unit.requestId || null,
+  acceptedAt: unit.acceptedAt,
+  arrivedAt: unit.arrivedAt,
+  pickedUpAt: unit.pickedUpAt,
+  completedAt: unit.completedAt,
+});
+
+const formatIncident = (incident) => ({
+  id: incident._id,
+  title: incident.title,
+  description: incident.description,
+  location: fromPoint(incident.location),
+  status: incident.status,
+  requestId: incident.requestId || null,
+  openUnits: incident.units.filter(isAcceptable).length,
+  units: incident.units.map(formatUnit),
+  createdAt: incident.createdAt,
+  closedAt: incident.closedAt,
+  closedReason: incident.closedReason,
+});
+
+const canServe = (vehicleType, unit) =>
+  (VEHICLE_RANK[vehicleType] ?? -1) >= VEHICLE_RANK[unit.vehicleType];
+
+// [{ vehicleType, count }] -> one open unit per ambulance needed
+const expandUnits = (requirements) =>
+  requirements.flatMap(({ vehicleType, count }) =>
+    Array.from({ length: count }, () => ({ vehicleType, status: "open" }))
+  );
+
+const busyUnitOf = (incident, vehicleId) =>
+  incident.units.find(
+    (unit) => unit.vehicleId === vehicleId && BUSY_UNIT_STATUSES.includes(unit.status)
+  );
+
+// Apply `changes` to one unit, only if nobody changed it since it was read
+const updateUnit = (incidentId, unit, changes) => {
+  const $set = {};
+  for (const [field, value] of Object.entries(changes)) $set[`units.$[unit].${field}`] = value;
+
+  return Incident.findOneAndUpdate(
+    {
+      _id: incidentId,
+      status: "active",
+      units: { $elemMatch: { _id: unit._id, status: unit.status } },
+    },
+    { $set },
+    { new: true, arrayFilters: [{ "unit._id": unit._id }] }
+  ).lean();
+};
+
+// Crews of ambulances in `vehicleIds` still working an active incident
+const incidentCrewsAmong = async (vehicleIds) => {
+  const incidents = await Incident.find({
+    status: "active",
+    units: { $elemMatch: { vehicleId: { $in: vehicleIds }, status: { $in: BUSY_UNIT_STATUSES } } },
+  })
+    .select("units")
+    .lean();
+
+  return incidents.flatMap((incident) =>
+    incident.units
+      .filter(
+        (unit) => vehicleIds.includes(unit.vehicleId) && BUSY_UNIT_STATUSES.includes(unit.status)
+      )
+      .map((unit) => unit.vehicleId)
+  );
+};
+
+// Mass-casualty incidents: one scene that needs several ambulances. Each crew
+// accepts one unit and reports its own progress; crews and coordinating
+// admins share the incident room. `crews` (a shared state store collection)
+// maps each vehicleId to the incident it is working.
+const createIncidents = ({ driverIo, clientIo, crews }) => {
+  const joinCrew = async (incidentId, vehicleId) => {
+    await crews.set(vehicleId, incidentId.toString());
+    driverIo.in(vehicleRoom(vehicleId)).socketsJoin(incidentRoom(incidentId));
+  };
+
+  const leaveCrew = async (incidentId, vehicleId) => {
+    await crews.delete(vehicleId);
+    driverIo.in(vehicleRoom(vehicleId)).socketsLeave(incidentRoom(incidentId));
+  };
+
+  // Every driver sees which units are still open; coordinators follow the room
+  const announce = (incident, event = "incident-updated") => {
+    const payload = formatIncident(incident);
+    driverIo.emit(event, payload);
+    clientIo.to(incidentRoom(incident._id)).emit(event, payload);
+  };
+
+  const findIncident = async (incidentId) => {
+    const incident = await Incident.findById(incidentId).lean();
+    if (!incident) throw notFound("Incident not found");
+    return incident;
+  };
+
+  const findActiveIncident = async (incidentId) => {
+    const incident = await findIncident(incidentId);
+    if (incident.status !== "active") throw conflict("Incident is closed", "incident_closed");
+    return incident;
+  };
+
+  // The escalated request keeps its crew: the unit that suits it is tied to
+  // the request and follows its progress
+  const linkRequestUnit = async (units, request) => {
+    const ambulance =
+      request.ambulanceId && ACTIVE_STATUSES.includes(request.status)
+        ? await Ambulance.findOne({ vehicleId: request.ambulanceId }).select("vehicleType").lean()
+        : null;
+    const wanted = ambulance?.vehicleType || requiredVehicleType(request);
+    const unit = units.find((candidate) => candidate.vehicleType === wanted) || units[0];
+
+    unit.requestId = request._id;
+    if (ambulance) {
+      Object.assign(unit, {
+        vehicleId: request.ambulanceId,
+        status: request.status,
+        acceptedAt: request.acceptedAt,
+        arrivedAt: request.arrivedAt,
+        pickedUpAt: request.pickedUpAt,
+      });
+    }
+    return unit;
+  };
+
+  // New incident at `location`, or escalated from `requestId` at its location.
+  // `units` lists how many ambulances of each vehicle type are needed.
+  const createIncident = async ({ title, description, location, units, requestId }, actor) => {
+    const slots = expandUnits(units);
+    if (slots.length > MAX_UNITS) {
+      throw badRequest(`An incident can need at most ${MAX_UNITS} ambulances`, "too_many_units");
+    }
+
+    let request = null;
+    let linked = null;
+    if (requestId) {
+      request = await EmergencyRequest.findById(requestId).lean();
+      if (!request) throw notFound("Emergency request not found");
+      if (ENDED_STATUSES.includes(request.status)) {
+        throw conflict(`Cannot escalate a ${request.status} request`, "request_ended");
+      }
+      if (request.incidentId) {
+        throw conflict("Request is already part of an incident", "already_escalated");
+      }
+      linked = await linkRequestUnit(slots, request);
+    }
+
+    const incident = await Incident.create({
+      title,
+      description: description ?? request?.emergencyDetails,
+      location: request
+        ? request.location
+        : { ...toPoint(location.latitude, location.longitude), address: location.address },
+      units: slots,
+      requestId: request?._id,
+      createdBy: actor.userId,
+    });
+
+    if (request) {
+      // Someone may have escalated it in the meantime
+      const escalated = await EmergencyRequest.updateOne(
+        { _id: request._id, incidentId: null },
+        { incidentId: incident._id }
+      );
+      if (!escalated.modifiedCount) {
+        await Incident.deleteOne({ _id: incident._id });
+        throw conflict("Request is already part of an incident", "already_escalated");
+      }
+      if (linked.vehicleId) await joinCrew(incident._id, linked.vehicleId);
+      emitToRequest(request._id, "request-escalated", {
+        requestId: request._id,
+        incidentId: incident._id,
+      });
+    }
+
+    audit({
+      actor,
+      action: "incident.created",
+      entityType: "Incident",
+      entityId: incident._id,
+      after: {
+        title,
+        units: slots.map((unit) => unit.vehicleType),
+        requestId: request?._id,
+      },
+    });
+    const created = incident.toObject();
+    announce(created, "new-incident");
+    return created;
+  };
+
+  // More ambulances needed as the scene develops
+  const addUnits = async (incidentId, units, actor) => {
+    const incident = await findActiveIncident(incidentId);
+    const slots = expandUnits(units);
+    if (incident.units.length + slots.length > MAX_UNITS) {
+      throw badRequest(`An incident can need at most ${MAX_UNITS} ambulances`, "too_many_units");
+    }
+
+    const updated = await Incident.findOneAndUpdate(
+      { _id: incident._id, status: "active" },
+      { $push: { units: { $each: slots } } },
+      { new: true }
+    ).lean();
+    if (!updated) throw conflict("Incident is closed", "incident_closed");
+
+    audit({
+      actor,
+      action: "incident.units_added",
+      entityType: "Incident",
+      entityId: incident._id,
+      after: { units: slots.map((unit) => unit.vehicleType) },
+    });
+    announce(updated);
+    return updated;
+  };
+
+  // Pick the unit a crew takes: the one asked for, or the most demanding open
+  // unit its ambulance is equipped for
+  const pickUnit = (incident, vehicleType, unitId) => {
+    if (unitId) {
+      const unit = incident.units.find((candidate) => candidate._id.toString() === unitId);
+      if (!unit) throw notFound("Unit not found");
+      if (!isAcceptable(unit)) throw conflict("This unit is already taken", "already_taken");
+      if (!canServe(vehicleType, unit)) {
+        throw conflict(`This unit needs a ${unit.vehicleType} ambulance`, "vehicle_unsuitable");
+      }
+      return unit;
+    }
+
+    const [best] = incident.units
+      .filter((unit) => isAcceptable(unit) && canServe(vehicleType, unit))
+      .sort((a, b) => VEHICLE_RANK[b.vehicleType] - VEHICLE_RANK[a.vehicleType]);
+    if (!best) throw conflict("No open unit on this incident suits your ambulance", "no_open_unit");
+    return best;
+  };
+
+  // A crew takes one unit of an incident. Atomic: fails if another crew got
+  // the unit first or the ambulance is not available.
+  const acceptUnit = async (incidentId, actor, { unitId } = {}) => {
+    const { vehicleId } = actor;
+    const incident = await findActiveIncident(incidentId);
+    const ambulance = await Ambulance.findOne({ vehicleId }).select("vehicleType").lean();
+    if (!ambulance) throw notFound("Ambulance not found");
+    const unit = pickUnit(incident, ambulance.vehicleType, unitId);
+
+    if (!(await claimAmbulance(vehicleId, AMBULANCE_STATUS.accepted))) {
+      throw conflict(
+        "The ambulance must be available to accept an incident",
+        "ambulance_unavailable"
+      );
+    }
+
+    const updated = await updateUnit(incident._id, unit, {
+      vehicleId,
+      status: "accepted",
+      acceptedAt: new Date(),
+    });
+    if (!updated) {
+      await releaseAmbulance(vehicleId, AMBULANCE_STATUS.accepted);
+      throw conflict("This unit was taken by another crew, please retry", "already_taken");
+    }
+
+    await joinCrew(incident._id, vehicleId);
+    audit({
+      actor,
+      action: "incident.unit_accepted",
+      entityType: "Incident",
+      entityId: incident._id,
+      after: { unitId: unit._id, vehicleId, status: "accepted" },
+    });
+    announce(updated);
+    return { incident: updated, unitId: unit._id };
+  };
+
+  const crewUnit = (incident, actor) => {
+    const unit = busyUnitOf(incident, actor.vehicleId);
+    if (!unit) throw forbidden("Your ambulance is not working this incident");
+    if (unit.requestId) {
+      throw conflict(
+        `This unit follows request ${unit.requestId}, update the request instead`,
+        "follows_request"
+      );
+    }
+    return unit;
+  };
+
+  // Closed automatically once every unit has finished
+  const closeIfDone = async (incident) => {
+    if (!incident.units.every((unit) => ["completed", "released"].includes(unit.status))) return;
+    await closeIncident(incident._id, SYSTEM_ACTOR, "All units completed");
+  };
+
+  // A crew reports its own unit's progress; the ambulance status follows
+  const updateUnitStatus = async (incidentId, actor, status) => {
+    const incident = await findActiveIncident(incidentId);
+    const unit = crewUnit(incident, actor);
+    if (!(UNIT_TRANSITIONS[unit.status] || []).includes(status)) {
+      throw conflict(`Cannot change unit from ${unit.status} to ${status}`, "invalid_transition");
+    }
+
+    const now = new Date();
+    const changes = { status, [UNIT_TIMESTAMPS[status]]: now };
+    // Arrival is implied when the patient is picked up without an explicit "arrived"
+    if (status === "in_progress" && !unit.arrivedAt) changes.arrivedAt = now;
+
+    const updated = await updateUnit(incident._id, unit, changes);
+    if (!updated) throw conflict("Unit was updated by someone else, please retry", "stale_unit");
+
+    await Ambulance.updateOne(
+      { vehicleId: actor.vehicleId },
+      { status: AMBULANCE_STATUS[status] }
+    );
+    if (status === "completed") await leaveCrew(incident._id, actor.vehicleId);
+
+    audit({
+      actor,
+      action: "incident.unit_status_changed",
+      entityType: "Incident",
+      entityId: incident._id,
+      before: { unitId: unit._id, status: unit.status },
+      after: { unitId: unit._id, status },
+    });
+    announce(updated);
+    await closeIfDone(updated);
+    return updated;
+  };
+
+  // A crew stands down before taking a patient, e.g. after a breakdown. Its
+  // unit opens again for another crew.
+  const releaseUnit = async (incidentId, actor, reason) => {
+    const incident = await findActiveIncident(incidentId);
+    const unit = crewUnit(incident, actor);
+    if (!RELEASABLE_UNIT_STATUSES.includes(unit.status)) {
+      throw conflict("Cannot leave an incident with a patient on board", "invalid_transition");
+    }
+
+    const updated = await updateUnit(incident._id, unit, {
+      vehicleId: null,
+      status: "open",
+      acceptedAt: null,
+      arrivedAt: null,
+    });
+    if (!updated) throw conflict("Unit was updated by someone else, please retry", "stale_unit");
+
+    await releaseAmbulance(actor.vehicleId, AMBULANCE_STATUS[unit.status]);
+    await leaveCrew(incident._id, actor.vehicleId);
+    audit({
+      actor,
+      action: "incident.unit_released",
+      entityType: "Incident",
+      entityId: incident._id,
+      before: { unitId: unit._id, vehicleId: actor.vehicleId, status: unit.status },
+      after: { unitId: unit._id, status: "open" },
+      reason,
+    });
+    announce(updated);
+    return updated;
+  };
+
+  // Keep the unit of an escalated request in step with the request after any
+  // change to it: accepted, transferred, given back, completed or cancelled
+  const syncRequestUnit = async (request) => {
+    if (!request.incidentId) return;
+
+    const incident = await Incident.findOne({ _id: request.incidentId, status: "active" }).lean();
+    const unit = incident?.units.find((candidate) => candidate.requestId?.equals(request._id));
+    if (!unit || unit.status === "completed" || unit.status === "released") return;
+
+    let status = request.status;
+    if (status === "pending") status = "open";
+    if (status === "cancelled") status = "released";
+    const vehicleId = status === "open" ? null : request.ambulanceId || unit.vehicleId;
+    if (status === unit.status && vehicleId === unit.vehicleId) return;
+
+    const updated = await updateUnit(incident._id, unit, {
+      vehicleId,
+      status,
+      acceptedAt: request.acceptedAt ?? null,
+      arrivedAt: request.arrivedAt ?? null,
+      pickedUpAt: request.pickedUpAt ?? null,
+      completedAt: request.completedAt ?? null,
+    });
+    if (!updated) return; // changed concurrently, the later sync wins
+
+    if (unit.vehicleId && (unit.vehicleId !== vehicleId || !BUSY_UNIT_STATUSES.includes(status))) {
+      await leaveCrew(incident._id, unit.vehicleId);
+    }
+    if (vehicleId && BUSY_UNIT_STATUSES.includes(status)) await joinCrew(incident._id, vehicleId);
+
+    announce(updated);
+    await closeIfDone(updated);
+  };
+
+  // Stand every crew down. Units still working are released and their
+  // ambulances become available, except crews with a patient on board: their
+  // unit stays in progress and the ambulance with_patient until the crew
+  // reports itself available. An escalated request carries on by itself.
+  const closeIncident = async (incidentId, actor, reason) => {
+    const incident = await Incident.findOneAndUpdate(
+      { _id: incidentId, status: "active" },
+      { status: "closed", closedAt: new Date(), closedReason: reason }
+    ).lean();
+    if (!incident) {
+      await findIncident(incidentId);
+      throw conflict("Incident is already closed", "incident_closed");
+    }
+
+    const working = incident.units.filter((unit) => BUSY_UNIT_STATUSES.includes(unit.status));
+    const released = working.filter(
+      (unit) => unit.requestId || RELEASABLE_UNIT_STATUSES.includes(unit.status)
+    );
+    const closed = await Incident.findByIdAndUpdate(
+      incident._id,
+      { $set: { "units.$[unit].status": "released" } },
+      { new: true, arrayFilters: [{ "unit._id": { $in: released.map((unit) => unit._id) } }] }
+    ).lean();
+
+    for (const unit of released) {
+      if (!unit.requestId) {
+        await Ambulance.updateOne(
+          { vehicleId: unit.vehicleId, status: AMBULANCE_STATUS[unit.status] },
+          { status: "available" }
+        );
+      }
+    }
+    for (const unit of working) await crews.delete(unit.vehicleId);
+
+    audit({
+      actor,
+      action: "incident.closed",
+      entityType: "Incident",
+      entityId: incident._id,
+      after: {
+        status: "closed",
+        released: released.map((unit) => unit.vehicleId),
+        withPatient: working
+          .filter((unit) => !released.includes(unit))
+          .map((unit) => unit.vehicleId),
+      },
+      reason,
+    });
+    emitToIncident(incident._id, "incident-closed", { incidentId: incident._id, reason });
+    announce(closed);
+
+    const room = incidentRoom(incident._id);
+    driverIo.in(room).socketsLeave(room);
+    clientIo.in(room).socketsLeave(room);
+    return closed;
+  };
+
+  // Active incidents that still have units a crew can accept
+  const openIncidents = async () => {
+    const incidents = await Incident.find({
+      status: "active",
+      units: { $elemMatch: { status: "open", requestId: null } },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+    return incidents.map(formatIncident);
+  };
+
+  // Put the crews of active incidents back in `crews` after a restart
+  const restoreCrews = async () => {
+    const incidents = await Incident.find({ status: "active" }).select("units").lean();
+    let restored = 0;
+    for (const incident of incidents) {
+      for (const unit of incident.units) {
+        if (!unit.vehicleId || !BUSY_UNIT_STATUSES.includes(unit.status)) continue;
+        await crews.setIfAbsent(unit.vehicleId, incident._id.toString());
+        restored += 1;
+      }
+    }
+    return restored;
+  };
+
+  return {
+    createIncident,
+    addUnits,
+    acceptUnit,
+    updateUnitStatus,
+    releaseUnit,
+    syncRequestUnit,
+    closeIncident,
+    openIncidents,
+    findIncident,
+    restoreCrews,
+  };
+};
+
+module.exports = {
+  createIncidents,
+  formatIncident,
+  incidentCrewsAmong,
+  BUSY_UNIT_STATUSES,
+};
@@ -0,0 +1,136 @@
+const Ambulance = require("../models/Ambulance");
+const { recordLocations } = require("./locationHistory");
+const { distanceKm, toPoint } = require("../utils/geo");
+
+const FLUSH_INTERVAL_MS = Number(process.env.LOCATION_FLUSH_INTERVAL_MS) || 5000;
+const BROADCAST_INTERVAL_MS = Number(process.env.LOCATION_BROADCAST_INTERVAL_MS) || 2000;
+// Faster than this between two reports is treated as a GPS glitch
+const MAX_SPEED_KMH = Number(process.env.LOCATION_MAX_SPEED_KMH) || 180;
+// Jumps shorter than this are GPS jitter and never rejected for speed
+const JITTER_KM = 0.05;
+
+const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) &&
+  Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 &&
+  Math.abs(longitude) <= 180;
+
+// Absorbs high-frequency location reports in memory. Positions are written
+// to MongoDB every FLUSH_INTERVAL_MS and handed to `onBroadcast` as a batch
+// of changes every BROADCAST_INTERVAL_MS.
+const createLocationCache = ({ onBroadcast }) => {
+  const positions = new Map(); // vehicleId -> { latitude, longitude, recordedAt, requestId }
+  const unsaved = new Map(); // vehicleId -> latest position not in MongoDB yet
+  const unsent = new Map(); // vehicleId -> latest position not broadcast yet
+  let history = []; // breadcrumbs waiting to be inserted
+  const timers = [];
+
+  // Returns { accepted: true } or { accepted: false, reason }
+  const update = (vehicleId, { latitude, longitude, timestamp, requestId }) => {
+    latitude = Number(latitude);
+    longitude = Number(longitude);
+    if (!isValidCoordinate(latitude, longitude)) {
+      return { accepted: false, reason: "Invalid coordinates" };
+    }
+
+    const recordedAt = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(recordedAt.getTime()) || recordedAt > Date.now() + 60000) {
+      return { accepted: false, reason: "Invalid timestamp" };
+    }
+
+    const previous = positions.get(vehicleId);
+    if (previous) {
+      const hours = (recordedAt - previous.recordedAt) / 3600000;
+      if (hours <= 0) return { accepted: false, reason: "Out of order update" };
+
+      const km = distanceKm(previous.latitude, previous.longitude, latitude, longitude);
+      if (km > JITTER_KM && km / hours > MAX_SPEED_KMH) {
+        return { accepted: false, reason: "Implausible jump in position" };
+      }
+    }
+
+    const position = { latitude, longitude, recordedAt, requestId: requestId || null };
+    positions.set(vehicleId, position);
+    unsaved.set(vehicleId, position);
+    unsent.set(vehicleId, position);
+    history.push({ vehicleId, ...position });
+    return { accepted: true };
+  };
+
+  const flush = async () => {
+    if (!unsaved.size && !history.length) return;
+
+    const operations = [...unsaved].map(([vehicleId, position]) => ({
+      updateOne: {
+        filter: { vehicleId },
+        update: {
+          currentLocation: {
+            ...toPoint(position.latitude, position.longitude),
+            lastUpdated: position.recordedAt,
+          },
+        },
+      },
+    }));
+    const points = history;
+    unsaved.clear();
+    history = [];
+
+    try {
+      if (operations.length) await Ambulance.bulkWrite(operations, { ordered: false });
+      if (points.length) await recordLocations(points);
+    } catch (error) {
+      console.error("❌ Error flushing locations:", error);
+    }
+  };
+
+  const broadcast = async () => {
+    if (!unsent.size) return;
+
+    const changes = [...unsent].map(([vehicleId, position]) => ({
+      vehicleId,
+      ...position,
+    }));
+    unsent.clear();
+
+    try {
+      await onBroadcast(changes);
+    } catch (error) {
+      console.error("❌ Error broadcasting locations:", error);
+    }
+  };
+
+  const start = () => {
+    timers.push(
+      setInterval(flush, FLUSH_INTERVAL_MS),
+      setInterval(broadcast, BROADCAST_INTERVAL_MS)
+    );
+    timers.forEach((timer) => timer.unref());
+  };
+
+  const stop = async () => {
+    timers.splice(0).forEach(clearInterval);
+    await flush();
+  };
+
+  // Latest known position, fresher than MongoDB between flushes
+  const get = (vehicleId) => positions.get(vehicleId) || null;
+
+  // Stop broadcasting a vehicle that went offline; its last position is still saved
+  const forget = (vehicleId) => {
+    positions.delete(vehicleId);
+    unsent.delete(vehicleId);
+  };
+
+  return { update, get, forget, flush, start, stop };
+};
+
+// Viewport is { north, south, east, west } in degrees; west > east crosses the antimeridian
+const inViewport = (viewport, { latitude, longitude }) => {
+  if (latitude < viewport.south || latitude > viewport.north) return false;
+  if (viewport.west <= viewport.east) {
+    return longitude >= viewport.west && longitude <= viewport.east;
+  }
+  return longitude >= viewport.west || longitude <= viewport.east;
+};
+
+module.exports = { createLocationCache, inViewport, isValidCoordinate };
@@ -0,0 +1,107 @@
+const LocationPoint = require("../models/LocationPoint");
+const { distanceKm, toPoint } = require("../utils/geo");
+
+// Insert a batch of { vehicleId, requestId, latitude, longitude, recordedAt }
+const recordLocations = (points) =>
+  LocationPoint.insertMany(
+    points.map(({ vehicleId, requestId, latitude, longitude, recordedAt }) => ({
+      vehicleId,
+      requestId: requestId || null,
+      location: toPoint(latitude, longitude),
+      recordedAt,
+    })),
+    { ordered: false }
+  );
+
+// Positions matching `filter`, oldest first, as { latitude, longitude, recordedAt }
+const findTrack = async (filter) => {
+  const points = await LocationPoint.find(filter)
+    .sort({ recordedAt: 1 })
+    .select("location recordedAt vehicleId")
+    .lean();
+
+  return points.map((point) => ({
+    vehicleId: point.vehicleId,
+    latitude: point.location.coordinates[1],
+    longitude: point.location.coordinates[0],
+    recordedAt: point.recordedAt,
+  }));
+};
+
+const trackDistanceKm = (points) =>
+  points.reduce(
+    (total, point, index) =>
+      index === 0
+        ? 0
+        : total +
+          distanceKm(
+            points[index - 1].latitude,
+            points[index - 1].longitude,
+            point.latitude,
+            point.longitude
+          ),
+    0
+  );
+
+const summarizeTrack = (points) => ({
+  points,
+  pointCount: points.length,
+  totalDistanceKm: Math.round(trackDistanceKm(points) * 1000) / 1000,
+  startedAt: points[0]?.recordedAt || null,
+  endedAt: points[points.length - 1]?.recordedAt || null,
+});
+
+const toGeoJson = (points, properties = {}) => ({
+  type: "Feature",
+  properties: {
+    ...properties,
+    totalDistanceKm: summarizeTrack(points).totalDistanceKm,
+    coordTimes: points.map((point) => point.recordedAt),
+  },
+  geometry: {
+    type: "LineString",
+    coordinates: points.map((point) => [point.longitude, point.latitude]),
+  },
+});
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const toGpx = (points, name) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ambulance-server" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <trk>",
+    `    <name>${escapeXml(name)}</name>`,
+    "    <trkseg>",
+    ...points.map(
+      (point) =>
+        `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${new Date(point.recordedAt).toISOString()}</time></trkpt>`
+    ),
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+  ].join("\n");
+
+// Send a track as JSON (default), ?format=geojson or ?format=gpx
+const sendTrack = (res, format, points, { name, ...properties }) => {
+  if (format === "gpx") {
+    res.set("Content-Type", "application/gpx+xml");
+    res.set("Content-Disposition", `attachment; filename="${name}.gpx"`);
+    return res.send(toGpx(points, name));
+  }
+  if (format === "geojson") {
+    res.set("Content-Type", "application/geo+json");
+    return res.send(JSON.stringify(toGeoJson(points, { name, ...properties })));
+  }
+  res.json({ ...properties, ...summarizeTrack(points) });
+};
+
+module.exports = {
+  recordLocations,
+  findTrack,
+  summarizeTrack,
+  toGeoJson,
+  toGpx,
+  sendTrack,
+};
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+
+const User = require("../models/User");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const { channels, render } = require("./notifier");
+const { createShareLink } = require("./shareLinks");
+const { SYSTEM_ACTOR } = require("./audit");
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+// Delay before the first retry, doubled after every failed attempt
+const RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 30000;
+const RETRY_INTERVAL_MS = Number(process.env.NOTIFICATION_RETRY_INTERVAL_MS) || 30000;
+// A delivery being sent is not picked up by the retrier for this long
+const SEND_LEASE_MS = 60000;
+
+// Try to send one delivery and record the outcome
+const attempt = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const retryDelay = RETRY_BASE_MS * 2 ** (attempts - 1);
+  try {
+    await channels[delivery.channel].send({
+      to: delivery.to,
+      subject: delivery.subject,
+      text: delivery.text,
+      data: { template: delivery.template, requestId: delivery.requestId },
+    });
+    await NotificationDelivery.updateOne(
+      { _id: delivery._id },
+      { status: "sent", attempts, sentAt: new Date(), nextAttemptAt: null }
+    );
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    await NotificationDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        status: failed ? "failed" : "pending",
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay),
+      }
+    );
+    console.error(
+      `❌ ${delivery.channel} to ${delivery.to} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`,
+      error.message
+    );
+  }
+};
+
+// Record and send messages: [{ channel, to, template, data, userId, requestId }]
+const send = async (messages) => {
+  if (!messages.length) return [];
+
+  const deliveries = await NotificationDelivery.insertMany(
+    messages.map(({ channel, to, template, data, userId, requestId }) => ({
+      ...render(template, data),
+      channel,
+      to,
+      template,
+      userId,
+      requestId,
+      nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS),
+    }))
+  );
+  await Promise.all(deliveries.map(attempt));
+  return deliveries;
+};
+
+// Where a user can be reached on each channel; none when they left it blank
+const addressesOf = (user, channel) => {
+  if (channel === "email") return user.email ? [user.email] : [];
+  if (channel === "sms") return user.number ? [user.number] : [];
+  return user.deviceTokens || [];
+};
+
+// Notify a user (a document or an id) on the given channels
+const notifyUser = async (userOrId, template, data, options = {}) => {
+  const { channels: via = ["push"], requestId } = options;
+  // An ObjectId has an `_id` of its own, so check for ids rather than documents
+  const isId = userOrId instanceof mongoose.Types.ObjectId || typeof userOrId === "string";
+  const user = isId
+    ? await User.findById(userOrId).select("email number deviceTokens").lean()
+    : userOrId;
+  if (!user) return [];
+
+  return send(
+    via.flatMap((channel) =>
+      addressesOf(user, channel).map((to) => ({
+        channel,
+        to,
+        template,
+        data,
+        userId: user._id,
+        requestId,
+      }))
+    )
+  );
+};
+
+const STATUS_TEMPLATES = {
+  accepted: "request_accepted",
+  arrived: "request_arrived",
+  in_progress: "request_in_progress",
+  completed: "request_completed",
+  cancelled: "request_cancelled",
+};
+
+// Booked transports are not emergencies: their requesters get the planned
+// transport wording of each message
+const BOOKING_TEMPLATES = {
+  request_accepted: "booking_accepted",
+  request_reassigned: "booking_reassigned",
+  request_requeued: "booking_requeued",
+  request_arrived: "booking_arrived",
+  request_in_progress: "booking_in_progress",
+  request_completed: "booking_completed",
+  request_cancelled: "booking_cancelled",
+};
+
+// Keep the requester informed even when their app is in the background:
+// push to their devices, or an SMS when they have none registered. Their
+// emergency contacts get an SMS with a share link to follow the ambulance
+// once help is on the way, unless it is a booked transport.
+// `template` defaults to the one for the request's status.
+const notifyRequester = async (request, { template, etaMinutes } = {}) => {
+  template = template || STATUS_TEMPLATES[request.status];
+  if (request.bookingId) template = BOOKING_TEMPLATES[template];
+  if (!template) return;
+
+  const requester = await User.findById(request.requesterId)
+    .select("name email number deviceTokens emergencyContacts")
+    .lean();
+  if (!requester) return;
+
+  const data = {
+    requestId: request._id.toString(),
+    vehicleId: request.ambulanceId,
+    reason: request.cancellationReason,
+    etaMinutes,
+  };
+  await notifyUser(requester, template, data, {
+    channels: requester.deviceTokens?.length ? ["push"] : ["sms"],
+    requestId: request._id,
+  });
+
+  if (template === "request_accepted" && requester.emergencyContacts?.length) {
+    const share = await createShareLink(request, SYSTEM_ACTOR, {
+      label: "Emergency contacts",
+    });
+    await send(
+      requester.emergencyContacts.map((contact) => ({
+        channel: "sms",
+        to: contact.phone,
+        template: "contact_alert",
+        data: {
+          requesterName: requester.name,
+          vehicleId: request.ambulanceId,
+          trackingUrl: share.url,
+        },
+        requestId: request._id,
+      }))
+    );
+  }
+};
+
+// Retries pending deliveries whose time has come. Each one is claimed with a
+// conditional update, so several server instances never send it twice.
+const createDeliveryRetrier = () => {
+  let timer = null;
+
+  const retry = async () => {
+    for (;;) {
+      const delivery = await NotificationDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS) },
+        { new: true }
+      ).lean();
+      if (!delivery) return;
+      await attempt(delivery);
+    }
+  };
+
+  return {
+    retry,
+    start: () => {
+      timer = setInterval(() => {
+        retry().catch((error) => console.error("❌ Error retrying notifications:", error));
+      }, RETRY_INTERVAL_MS);
+      timer.unref();
+    },
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = { notifyUser, notifyRequester, createDeliveryRetrier };
@@ -0,0 +1,8 @@
+// Prints messages instead of delivering them, for development
+const createConsoleNotifier = (channel = "email") => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`✉️ ${channel} to ${to}: ${subject}\n${text}`);
+  },
+});
+
+module.exports = createConsoleNotifier;
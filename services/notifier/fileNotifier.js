@@ -0,0 +1,14 @@
+const fs = require("fs/promises");
+
+// Appends each message as a JSON line to `path`, so tests can read what
+// would have been delivered
+const createFileNotifier = (path, channel = "email") => ({
+  send: async (message) => {
+    await fs.appendFile(
+      path,
+      `${JSON.stringify({ channel, ...message, sentAt: new Date() })}\n`
+    );
+  },
+});
+
+module.exports = createFileNotifier;
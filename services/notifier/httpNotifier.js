@@ -0,0 +1,25 @@
+// Hands messages to an HTTP gateway (an SMS provider, a push relay, a mail
+// API...) as JSON: { channel, to, subject, text, data }. Anything but a 2xx
+// answer counts as a failed delivery, so it is retried.
+const createHttpNotifier = (url, { channel, token, timeoutMs = 10000 } = {}) => {
+  if (!url) throw new Error(`No gateway URL configured for ${channel} notifications`);
+
+  return {
+    send: async ({ to, subject, text, data }) => {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ channel, to, subject, text, data }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`${channel} gateway answered ${response.status}`);
+      }
+    },
+  };
+};
+
+module.exports = createHttpNotifier;
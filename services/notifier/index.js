@@ -0,0 +1,44 @@
+const createConsoleNotifier = require("./consoleNotifier");
+const createFileNotifier = require("./fileNotifier");
+const createHttpNotifier = require("./httpNotifier");
+const { render, TEMPLATES } = require("./templates");
+
+const CHANNELS = ["email", "sms", "push"];
+
+// Delivers messages of one channel: send({ to, subject, text, data }).
+// `to` is an email address, a phone number or a device token.
+// NOTIFIER selects the transport, "console" (default), "file" (writes to
+// NOTIFIER_FILE) or "http" (posts to NOTIFIER_<CHANNEL>_URL), and
+// NOTIFIER_<CHANNEL> overrides it for one channel, e.g. NOTIFIER_SMS=http.
+const createNotifier = (channel = "email") => {
+  const name = channel.toUpperCase();
+  const transport = process.env[`NOTIFIER_${name}`] || process.env.NOTIFIER;
+
+  if (transport === "file") {
+    return createFileNotifier(process.env.NOTIFIER_FILE || "notifications.log", channel);
+  }
+  if (transport === "http") {
+    return createHttpNotifier(process.env[`NOTIFIER_${name}_URL`], {
+      channel,
+      token: process.env[`NOTIFIER_${name}_TOKEN`],
+    });
+  }
+  return createConsoleNotifier(channel);
+};
+
+const channels = Object.fromEntries(
+  CHANNELS.map((channel) => [channel, createNotifier(channel)])
+);
+const notifier = channels.email;
+
+module.exports = {
+  notifier,
+  channels,
+  CHANNELS,
+  render,
+  TEMPLATES,
+  createNotifier,
+  createConsoleNotifier,
+  createFileNotifier,
+  createHttpNotifier,
+};
@@ -0,0 +1,116 @@
+// Message for each kind of notification: data -> { subject, text }. SMS and
+// push show `text` only, so it has to make sense on its own.
+
+const eta = (minutes) => (minutes ? `, about ${minutes} min away` : "");
+
+// "in 2 h 30 min", "in 45 min", or "now"
+const startsIn = (minutes) => {
+  if (!minutes) return "now";
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `in ${hours ? `${hours} h` : ""}${hours && rest ? " " : ""}${rest ? `${rest} min` : ""}`;
+};
+
+const TEMPLATES = {
+  // To the requester, one per request status
+  request_accepted: ({ vehicleId, etaMinutes }) => ({
+    subject: "An ambulance is on its way",
+    text: `Ambulance ${vehicleId} accepted your emergency request${eta(etaMinutes)}.`,
+  }),
+  request_reassigned: ({ vehicleId }) => ({
+    subject: "A different ambulance is coming",
+    text: `Your emergency request was handed to ambulance ${vehicleId}.`,
+  }),
+  request_requeued: () => ({
+    subject: "Finding you another ambulance",
+    text: "The ambulance assigned to you can no longer come. We are finding another one.",
+  }),
+  request_arrived: ({ vehicleId }) => ({
+    subject: "The ambulance has arrived",
+    text: `Ambulance ${vehicleId} has arrived at your location.`,
+  }),
+  request_in_progress: ({ vehicleId }) => ({
+    subject: "On the way to the hospital",
+    text: `The patient is on board ambulance ${vehicleId}.`,
+  }),
+  request_completed: () => ({
+    subject: "Emergency request completed",
+    text: "Your emergency request has been completed. We hope the patient recovers quickly.",
+  }),
+  request_cancelled: ({ reason }) => ({
+    subject: "Emergency request cancelled",
+    text: `Your emergency request was cancelled${reason ? `: ${reason}` : ""}.`,
+  }),
+
+  // To the requester's emergency contacts, by SMS
+  contact_alert: ({ requesterName, vehicleId, trackingUrl }) => ({
+    subject: "Emergency alert",
+    text:
+      `${requesterName} has called an ambulance. Ambulance ${vehicleId} is on its way. ` +
+      `Follow it live: ${trackingUrl}`,
+  }),
+
+  // Planned transports, to the requester: one per request status
+  booking_accepted: ({ vehicleId, etaMinutes }) => ({
+    subject: "Your transport is on its way",
+    text: `Ambulance ${vehicleId} is on its way for your booked transport${eta(etaMinutes)}.`,
+  }),
+  booking_reassigned: ({ vehicleId }) => ({
+    subject: "A different ambulance is coming",
+    text: `Your booked transport was handed to ambulance ${vehicleId}.`,
+  }),
+  booking_requeued: () => ({
+    subject: "Finding you another ambulance",
+    text:
+      "The ambulance for your booked transport can no longer come. " +
+      "We are finding another one.",
+  }),
+  booking_arrived: ({ vehicleId }) => ({
+    subject: "Your transport has arrived",
+    text: `Ambulance ${vehicleId} has arrived for the pickup.`,
+  }),
+  booking_in_progress: ({ vehicleId }) => ({
+    subject: "On the way",
+    text: `The patient is on board ambulance ${vehicleId}.`,
+  }),
+  booking_completed: () => ({
+    subject: "Transport completed",
+    text: "Your booked transport has been completed.",
+  }),
+  booking_cancelled: ({ reason }) => ({
+    subject: "Transport cancelled",
+    text: `Your booked transport was cancelled${reason ? `: ${reason}` : ""}.`,
+  }),
+
+  // Planned transports, reminders to the requester and the assigned crew
+  booking_reminder: ({ transport, startsInMinutes, address }) => ({
+    subject: "Upcoming patient transport",
+    text:
+      `Reminder: your ${transport} pickup is ${startsIn(startsInMinutes)}` +
+      `${address ? ` at ${address}` : ""}. Please have the patient ready.`,
+  }),
+  booking_crew_reminder: ({ transport, startsInMinutes, address, vehicleId }) => ({
+    subject: "Upcoming booked transport",
+    text:
+      `${vehicleId} has a ${transport} pickup ${startsIn(startsInMinutes)}` +
+      `${address ? ` at ${address}` : ""}.`,
+  }),
+
+  // To drivers, about their vehicle's verification
+  ambulance_approved: ({ vehicleId }) => ({
+    subject: "Your ambulance was approved",
+    text: `${vehicleId} is verified. You can now go on duty.`,
+  }),
+  ambulance_rejected: ({ vehicleId, reason }) => ({
+    subject: "Your ambulance was not approved",
+    text: `${vehicleId} was not approved: ${reason}\nYou can correct your details and submit them again.`,
+  }),
+};
+
+const render = (template, data = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) throw new Error(`Unknown notification template: ${template}`);
+  return build(data);
+};
+
+module.exports = { render, TEMPLATES };
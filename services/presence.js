@@ -0,0 +1,93 @@
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const { ACTIVE_STATUSES } = require("./requestLifecycle");
+const { incidentCrewsAmong } = require("./incidents");
+
+// How often driver apps are asked to send a heartbeat
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 15000;
+// Neither a heartbeat nor a location for this long and the ambulance is gone
+const STALE_AFTER_MS = Number(process.env.PRESENCE_STALE_AFTER_MS) || 90000;
+const REAP_INTERVAL_MS = Number(process.env.PRESENCE_REAP_INTERVAL_MS) || 30000;
+// Time a disconnected driver has to come back before going off duty
+const RECONNECT_GRACE_MS = Number(process.env.DRIVER_RECONNECT_GRACE_MS) || 60000;
+
+// Record that the driver app is alive
+const touchAmbulance = (vehicleId) =>
+  Ambulance.updateOne({ vehicleId }, { lastSeenAt: new Date() });
+
+// On duty, but silent since `cutoff` (a missing timestamp counts as silent)
+const staleFilter = (cutoff) => ({
+  status: { $ne: "offline" },
+  $and: [
+    { $or: [{ lastSeenAt: { $lt: cutoff } }, { lastSeenAt: null }] },
+    {
+      $or: [
+        { "currentLocation.lastUpdated": { $lt: cutoff } },
+        { "currentLocation.lastUpdated": null },
+      ],
+    },
+  ],
+});
+
+// Periodically takes silent ambulances off duty and hands them to `onStale`.
+// A crew with an active request or incident unit is never taken off it; it is
+// reported once to `onUnreachable` instead so the requester, coordinators and
+// supervisors can react. `unreachable` (a shared state store collection)
+// records the crews already reported, so only one instance reports each.
+const createPresenceReaper = ({ onStale, onUnreachable, unreachable }) => {
+  let timer = null;
+
+  const reap = async () => {
+    try {
+      const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+      const stale = await Ambulance.find(staleFilter(cutoff)).select("vehicleId").lean();
+      const vehicleIds = stale.map((ambulance) => ambulance.vehicleId);
+
+      const busy = new Set([
+        ...(await EmergencyRequest.distinct("ambulanceId", {
+          ambulanceId: { $in: vehicleIds },
+          status: { $in: ACTIVE_STATUSES },
+        })),
+        ...(await incidentCrewsAmong(vehicleIds)),
+      ]);
+
+      // Crews that came back can be reported again next time
+      for (const [vehicleId] of await unreachable.entries()) {
+        if (!busy.has(vehicleId)) await unreachable.delete(vehicleId);
+      }
+
+      for (const vehicleId of vehicleIds) {
+        if (busy.has(vehicleId)) {
+          if (await unreachable.setIfAbsent(vehicleId, true)) await onUnreachable(vehicleId);
+          continue;
+        }
+
+        // Conditional so only one instance reports each ambulance
+        const ambulance = await Ambulance.findOneAndUpdate(
+          { vehicleId, ...staleFilter(cutoff) },
+          { status: "offline" },
+          { new: true }
+        ).lean();
+        if (ambulance) await onStale(vehicleId);
+      }
+    } catch (error) {
+      console.error("❌ Error reaping stale ambulances:", error);
+    }
+  };
+
+  const start = () => {
+    timer = setInterval(reap, REAP_INTERVAL_MS);
+    timer.unref();
+  };
+
+  const stop = () => clearInterval(timer);
+
+  return { reap, start, stop };
+};
+
+module.exports = {
+  createPresenceReaper,
+  touchAmbulance,
+  HEARTBEAT_INTERVAL_MS,
+  RECONNECT_GRACE_MS,
+};
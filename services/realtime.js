@@ -0,0 +1,92 @@
+// Socket.IO namespaces shared with services and routes that need to push events
+const namespaces = { driverIo: null, clientIo: null, hospitalIo: null, trackIo: null };
+
+const init = ({ driverIo, clientIo, hospitalIo, trackIo }) => {
+  namespaces.driverIo = driverIo;
+  namespaces.clientIo = clientIo;
+  namespaces.hospitalIo = hospitalIo;
+  namespaces.trackIo = trackIo;
+};
+
+const requestRoom = (requestId) => `emergency-${requestId}`;
+
+// Request events also shown to anonymous followers of a share link
+const TRACKING_EVENTS = ["driver-location", "status-changed", "eta-updated", "hospital-selected"];
+
+// Emit to everyone following a request: the requester, the assigned crew and
+// share link followers
+const emitToRequest = (requestId, event, payload) => {
+  const room = requestRoom(requestId);
+  namespaces.clientIo?.to(room).emit(event, payload);
+  namespaces.driverIo?.to(room).emit(event, payload);
+  if (TRACKING_EVENTS.includes(event)) namespaces.trackIo?.to(room).emit(event, payload);
+};
+
+// Close the share link sockets following a request, or only those opened
+// with one link
+const endTracking = async (requestId, { shareId, reason } = {}) => {
+  if (!namespaces.trackIo) return;
+
+  const sockets = await namespaces.trackIo.in(requestRoom(requestId)).fetchSockets();
+  sockets
+    .filter((socket) => !shareId || socket.data.share?.id === shareId)
+    .forEach((socket) => {
+      socket.emit("tracking-ended", { requestId, reason });
+      socket.disconnect(true);
+    });
+};
+
+const incidentRoom = (incidentId) => `incident-${incidentId}`;
+
+// Emit to every crew working an incident and the admins coordinating it
+const emitToIncident = (incidentId, event, payload) => {
+  const room = incidentRoom(incidentId);
+  namespaces.clientIo?.to(room).emit(event, payload);
+  namespaces.driverIo?.to(room).emit(event, payload);
+};
+
+const hospitalRoom = (hospitalId) => `hospital-${hospitalId}`;
+
+const emitToHospital = (hospitalId, event, payload) => {
+  namespaces.hospitalIo?.to(hospitalRoom(hospitalId)).emit(event, payload);
+};
+
+const disconnectWhere = async (matches) => {
+  for (const namespace of Object.values(namespaces)) {
+    if (!namespace) continue;
+
+    const sockets = await namespace.fetchSockets();
+    sockets
+      .filter((socket) => socket.data.user && matches(socket.data.user))
+      .forEach((socket) => socket.disconnect(true));
+  }
+};
+
+// Drop every live socket of a user, e.g. after their account is deactivated
+const disconnectUser = (userId) =>
+  disconnectWhere((user) => user.userId?.toString() === userId.toString());
+
+// Drop the sockets opened with one login session, e.g. after logout
+const disconnectSession = (sessionId) =>
+  disconnectWhere((user) => user.sessionId === sessionId);
+
+// Message the other server instances; only clustered setups (REDIS_URL)
+// have an adapter that supports it
+const emitToServers = (namespace, event, payload) => {
+  if (process.env.REDIS_URL) namespace.serverSideEmit(event, payload);
+};
+
+module.exports = {
+  init,
+  emitToServers,
+  disconnectUser,
+  disconnectSession,
+  namespaces,
+  requestRoom,
+  emitToRequest,
+  endTracking,
+  incidentRoom,
+  emitToIncident,
+  hospitalRoom,
+  emitToHospital,
+};
@@ -0,0 +1,428 @@
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const { emitToRequest } = require("./realtime");
+const { notifyRequester } = require("./notifications");
+const { expireShareLinks, ENDED_STATUSES } = require("./shareLinks");
+const { audit } = require("./audit");
+const { badRequest, forbidden, notFound, conflict } = require("../utils/errors");
+
+// Allowed status changes: current status -> statuses it may move to. Pending
+// requests are accepted through claimRequest, which also takes the ambulance,
+// so that is not in here.
+const TRANSITIONS = {
+  pending: ["cancelled"],
+  accepted: ["arrived", "in_progress", "cancelled"],
+  arrived: ["in_progress", "cancelled"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Timestamp recorded when a request enters each status
+const TIMESTAMP_FIELDS = {
+  accepted: "acceptedAt",
+  arrived: "arrivedAt",
+  in_progress: "pickedUpAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+};
+
+// Status the assigned ambulance moves to alongside the request
+const AMBULANCE_STATUS = {
+  accepted: "on_route",
+  arrived: "on_route",
+  in_progress: "with_patient",
+  completed: "available",
+  cancelled: "available",
+};
+
+// Request statuses that keep the assigned ambulance busy
+const ACTIVE_STATUSES = ["accepted", "arrived", "in_progress"];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Take an ambulance only if it is still available; null when someone else got it first
+const claimAmbulance = (vehicleId, status) =>
+  Ambulance.findOneAndUpdate({ vehicleId, status: "available" }, { status }, { new: true });
+
+const releaseAmbulance = (vehicleId, status) =>
+  Ambulance.updateOne({ vehicleId, status }, { status: "available" });
+
+// Who may make a change. `actor` is { userId, role, vehicleId }, plus the
+// `ip` or `socketId` it acted through for the audit log.
+const checkPermission = (request, status, actor) => {
+  if (actor.role === "admin") return;
+
+  if (actor.role === "ambulance") {
+    if (request.ambulanceId && request.ambulanceId === actor.vehicleId) return;
+    throw forbidden("This request is assigned to another ambulance");
+  }
+
+  if (actor.role === "client") {
+    if (status !== "cancelled") {
+      throw forbidden("Clients can only cancel requests");
+    }
+    if (request.requesterId.toString() !== actor.userId?.toString()) {
+      throw forbidden("Not authorized to change this request");
+    }
+    return;
+  }
+
+  throw forbidden("Not authorized to change this request");
+};
+
+// Move a request to `status`, recording the timestamp and who made the
+// change, and keep the assigned ambulance's status in step.
+// `changes` holds extra fields to set, e.g. the accepting ambulanceId.
+const transitionRequest = async (requestId, status, actor, changes = {}) => {
+  if (!TRANSITIONS[status]) throw badRequest(`Unknown status: ${status}`, "invalid_status");
+
+  const request = await EmergencyRequest.findById(requestId);
+  if (!request) throw notFound("Emergency request not found");
+
+  if (!canTransition(request.status, status)) {
+    throw conflict(
+      `Cannot change request from ${request.status} to ${status}`,
+      "invalid_transition"
+    );
+  }
+  checkPermission(request, status, actor);
+
+  const now = new Date();
+  const update = { ...changes, status, [TIMESTAMP_FIELDS[status]]: now };
+  // Arrival is implied when the patient is picked up without an explicit "arrived"
+  if (status === "in_progress" && !request.arrivedAt) update.arrivedAt = now;
+
+  // Only apply if nobody changed the status since we read it
+  const updated = await EmergencyRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    {
+      $set: update,
+      $push: {
+        statusHistory: {
+          from: request.status,
+          to: status,
+          changedBy: actor.userId,
+          role: actor.role,
+          vehicleId: actor.vehicleId,
+          at: now,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw conflict("Request was updated by someone else, please retry", "stale_request");
+  }
+
+  if (updated.ambulanceId) {
+    await Ambulance.updateOne(
+      { vehicleId: updated.ambulanceId },
+      { status: AMBULANCE_STATUS[status] }
+    );
+  }
+
+  audit({
+    actor,
+    action: "request.status_changed",
+    entityType: "EmergencyRequest",
+    entityId: updated._id,
+    before: { status: request.status },
+    after: { status, ...changes },
+    reason: changes.cancellationReason,
+  });
+
+  emitToRequest(updated._id.toString(), "status-changed", {
+    requestId: updated._id,
+    status,
+    previousStatus: request.status,
+    vehicleId: updated.ambulanceId,
+    at: now,
+  });
+
+  // Share links only follow a request while it is under way
+  if (ENDED_STATUSES.includes(status)) {
+    expireShareLinks(updated._id, status).catch((error) =>
+      console.error("❌ Error expiring share links:", error)
+    );
+  }
+
+  // Requesters do not need to hear about their own cancellation
+  if (!(status === "cancelled" && actor.role === "client")) {
+    notifyRequester(updated).catch((error) =>
+      console.error("❌ Error notifying requester:", error)
+    );
+  }
+
+  console.log(
+    `🔄 Request ${updated._id} ${request.status} → ${status} by ${actor.role}`
+  );
+  return updated;
+};
+
+// Give a pending request to an available ambulance. The ambulance and the
+// request are both claimed with conditional updates, so when two crews accept
+// at once exactly one wins and the other gets an error whose `code` says why.
+const claimRequest = async (requestId, vehicleId, actor) => {
+  if (actor.role === "ambulance" && actor.vehicleId !== vehicleId) {
+    throw forbidden("You can only accept requests for your own ambulance");
+  }
+
+  const busy = await EmergencyRequest.exists({
+    ambulanceId: vehicleId,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (busy) {
+    throw conflict("This ambulance already has an active request", "ambulance_busy");
+  }
+
+  const ambulance = await claimAmbulance(vehicleId, AMBULANCE_STATUS.accepted);
+  if (!ambulance) {
+    throw conflict(
+      "The ambulance must be available to accept a request",
+      "ambulance_unavailable"
+    );
+  }
+
+  const now = new Date();
+  let request;
+  try {
+    request = await EmergencyRequest.findOneAndUpdate(
+      { _id: requestId, status: "pending" },
+      {
+        $set: { status: "accepted", ambulanceId: vehicleId, acceptedAt: now },
+        $push: {
+          statusHistory: {
+            from: "pending",
+            to: "accepted",
+            changedBy: actor.userId,
+            role: actor.role,
+            vehicleId,
+            at: now,
+          },
+        },
+      },
+      { new: true }
+    );
+  } finally {
+    // Lost the race, or the request is gone: the ambulance is free again
+    if (!request) await releaseAmbulance(vehicleId, AMBULANCE_STATUS.accepted);
+  }
+
+  if (!request) {
+    const current = await EmergencyRequest.findById(requestId).select("status").lean();
+    if (!current) throw notFound("Emergency request not found");
+    if (current.status === "cancelled") {
+      throw conflict("The request was cancelled", "cancelled");
+    }
+    throw conflict(
+      "The request was already accepted by another ambulance",
+      "already_taken"
+    );
+  }
+
+  audit({
+    actor,
+    action: "request.accepted",
+    entityType: "EmergencyRequest",
+    entityId: request._id,
+    before: { status: "pending" },
+    after: { status: "accepted", ambulanceId: vehicleId },
+  });
+
+  emitToRequest(request._id.toString(), "status-changed", {
+    requestId: request._id,
+    status: "accepted",
+    previousStatus: "pending",
+    vehicleId,
+    at: now,
+  });
+
+  console.log(`🔄 Request ${request._id} pending → accepted by ${vehicleId}`);
+  return request;
+};
+
+// Statuses in which the assigned crew can still be swapped for another one
+const REASSIGNABLE_STATUSES = ["accepted", "arrived"];
+
+// Only the assigned crew (or an admin) may give up or hand over a request
+const checkCrew = (request, actor) => {
+  if (actor.role === "admin") return;
+  if (actor.role === "ambulance" && request.ambulanceId === actor.vehicleId) return;
+  throw forbidden("This request is assigned to another ambulance");
+};
+
+// Hand an assigned request to a different ambulance without changing its
+// status. The previous ambulance is freed and the new one takes its place.
+// Crews transfer their own requests, supervisors reassign any of them.
+const reassignRequest = async (requestId, vehicleId, actor, { reason } = {}) => {
+  const request = await EmergencyRequest.findById(requestId);
+  if (!request) throw notFound("Emergency request not found");
+
+  if (!REASSIGNABLE_STATUSES.includes(request.status)) {
+    throw conflict(`Cannot reassign a ${request.status} request`, "invalid_transition");
+  }
+  checkCrew(request, actor);
+  if (request.ambulanceId === vehicleId) {
+    throw conflict("Request is already assigned to this ambulance", "already_assigned");
+  }
+
+  const previousVehicleId = request.ambulanceId;
+  const ambulance = await claimAmbulance(vehicleId, AMBULANCE_STATUS[request.status]);
+  if (!ambulance) {
+    throw conflict(`Ambulance ${vehicleId} is not available`, "ambulance_unavailable");
+  }
+
+  const updated = await EmergencyRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status, ambulanceId: previousVehicleId },
+    {
+      $set: { ambulanceId: vehicleId },
+      $push: {
+        statusHistory: {
+          from: request.status,
+          to: request.status,
+          changedBy: actor.userId,
+          role: actor.role,
+          vehicleId: actor.vehicleId,
+          action: actor.role === "ambulance" ? "transferred" : "reassigned",
+          reason,
+          note: `Reassigned from ${previousVehicleId || "none"} to ${vehicleId}`,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseAmbulance(vehicleId, AMBULANCE_STATUS[request.status]);
+    throw conflict("Request was updated by someone else, please retry", "stale_request");
+  }
+
+  if (previousVehicleId) {
+    await Ambulance.updateOne({ vehicleId: previousVehicleId }, { status: "available" });
+  }
+
+  audit({
+    actor,
+    action: actor.role === "ambulance" ? "request.transferred" : "request.reassigned",
+    entityType: "EmergencyRequest",
+    entityId: updated._id,
+    before: { ambulanceId: previousVehicleId },
+    after: { ambulanceId: vehicleId },
+    reason,
+  });
+
+  console.log(
+    `🔁 Request ${updated._id} reassigned ${previousVehicleId} → ${vehicleId} by ${actor.role}`
+  );
+  return { request: updated, previousVehicleId };
+};
+
+// The crew gives a request back, e.g. after a breakdown, before the patient
+// is on board. It returns to pending so another ambulance can be dispatched;
+// this is the only way back to pending, so it is not in TRANSITIONS.
+const abandonRequest = async (requestId, actor, reason) => {
+  const request = await EmergencyRequest.findById(requestId);
+  if (!request) throw notFound("Emergency request not found");
+
+  if (!REASSIGNABLE_STATUSES.includes(request.status)) {
+    throw conflict(`Cannot abandon a ${request.status} request`, "invalid_transition");
+  }
+  checkCrew(request, actor);
+
+  const previousVehicleId = request.ambulanceId;
+  const now = new Date();
+  const updated = await EmergencyRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status, ambulanceId: previousVehicleId },
+    {
+      $set: { status: "pending" },
+      $unset: { ambulanceId: "", acceptedAt: "", arrivedAt: "" },
+      $push: {
+        statusHistory: {
+          from: request.status,
+          to: "pending",
+          changedBy: actor.userId,
+          role: actor.role,
+          vehicleId: previousVehicleId,
+          action: "abandoned",
+          reason,
+          at: now,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw conflict("Request was updated by someone else, please retry", "stale_request");
+  }
+
+  await releaseAmbulance(previousVehicleId, AMBULANCE_STATUS[request.status]);
+
+  audit({
+    actor,
+    action: "request.abandoned",
+    entityType: "EmergencyRequest",
+    entityId: updated._id,
+    before: { status: request.status, ambulanceId: previousVehicleId },
+    after: { status: "pending" },
+    reason,
+  });
+
+  emitToRequest(updated._id.toString(), "status-changed", {
+    requestId: updated._id,
+    status: "pending",
+    previousStatus: request.status,
+    vehicleId: previousVehicleId,
+    at: now,
+  });
+  notifyRequester(updated, { template: "request_requeued" }).catch((error) =>
+    console.error("❌ Error notifying requester:", error)
+  );
+
+  console.log(
+    `↩️ Request ${updated._id} ${request.status} → pending, abandoned by ${previousVehicleId}`
+  );
+  return { request: updated, previousVehicleId };
+};
+
+// Record a crew turning down an offered request
+const recordDecline = async (requestId, actor, reason) => {
+  await EmergencyRequest.updateOne(
+    { _id: requestId },
+    {
+      $push: {
+        statusHistory: {
+          from: "pending",
+          to: "pending",
+          changedBy: actor.userId,
+          role: actor.role,
+          vehicleId: actor.vehicleId,
+          action: "declined",
+          reason,
+          at: new Date(),
+        },
+      },
+    }
+  );
+  audit({
+    actor,
+    action: "request.declined",
+    entityType: "EmergencyRequest",
+    entityId: requestId,
+    reason,
+  });
+};
+
+module.exports = {
+  transitionRequest,
+  claimRequest,
+  reassignRequest,
+  abandonRequest,
+  recordDecline,
+  claimAmbulance,
+  releaseAmbulance,
+  canTransition,
+  TRANSITIONS,
+  REASSIGNABLE_STATUSES,
+  ACTIVE_STATUSES,
+  AMBULANCE_STATUS,
+};
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const Session = require("../models/Session");
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ userId: user._id, userType: user.userType, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const tokensFor = (session, user, secret) => ({
+  token: signAccessToken(user, session._id.toString()),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Start a session for a user who just logged in
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return tokensFor(session, user, secret);
+};
+
+const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+// Log a user out everywhere, e.g. after a password reset or deactivation
+const revokeUserSessions = (userId, reason) =>
+  Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+// Exchange a refresh token for a new pair. `loadUser(userId)` returns the
+// user or null if they may no longer log in. Presenting a refresh token that
+// was already rotated means it leaked, so the whole session is revoked.
+const refreshSession = async (refreshToken, loadUser) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  // Conditional on the presented token so concurrent refreshes rotate only once
+  const nextSecret = newSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { refreshTokenHash: hashToken(nextSecret), lastUsedAt: new Date() },
+    { new: true }
+  );
+  if (!session) {
+    const revoked = await revokeSession(sessionId, "refresh_token_reuse");
+    if (revoked.modifiedCount) {
+      console.log(`🚨 Refresh token reused for session ${sessionId}, session revoked`);
+    }
+    return null;
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    await revokeSession(session._id, "user_inactive");
+    return null;
+  }
+  return tokensFor(session, user, nextSecret);
+};
+
+// Whether access tokens of this session are still honoured
+const isSessionActive = (sessionId) =>
+  Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  hashToken,
+};
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+const Ambulance = require("../models/Ambulance");
+const EmergencyRequest = require("../models/Emergency");
+const ShareLink = require("../models/ShareLink");
+const { eta } = require("./eta");
+const { endTracking } = require("./realtime");
+const { audit, SYSTEM_ACTOR } = require("./audit");
+const { hashToken } = require("./sessions");
+const { fromPoint } = require("../utils/geo");
+const { conflict, notFound } = require("../utils/errors");
+
+const DEFAULT_TTL_MINUTES = Number(process.env.SHARE_LINK_TTL_MINUTES) || 240;
+const MAX_ACTIVE_LINKS = Number(process.env.SHARE_LINK_MAX_ACTIVE) || 10;
+// Page where anyone with a link can follow a request live, the token is appended
+const TRACKING_URL = process.env.TRACKING_URL || "http://localhost:3000/track";
+
+// Requests that can no longer be followed
+const ENDED_STATUSES = ["completed", "cancelled"];
+
+const trackingUrl = (token) => `${TRACKING_URL}/${token}`;
+
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const formatShareLink = (link) => ({
+  id: link._id,
+  label: link.label,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+});
+
+// New link for `request` (a document with status) created by `actor`. The
+// token is only returned here, so it is shown once to whoever created it.
+const createShareLink = async (request, actor, { label, ttlMinutes } = {}) => {
+  if (ENDED_STATUSES.includes(request.status)) {
+    throw conflict(`Cannot share a ${request.status} request`, "request_ended");
+  }
+
+  const active = await ShareLink.countDocuments({ requestId: request._id, ...activeFilter() });
+  if (active >= MAX_ACTIVE_LINKS) {
+    throw conflict(
+      `A request can have at most ${MAX_ACTIVE_LINKS} active share links`,
+      "too_many_links"
+    );
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const link = await ShareLink.create({
+    requestId: request._id,
+    tokenHash: hashToken(token),
+    label,
+    createdBy: actor.userId,
+    expiresAt: new Date(Date.now() + (ttlMinutes || DEFAULT_TTL_MINUTES) * 60 * 1000),
+  });
+  audit({
+    actor,
+    action: "share_link.created",
+    entityType: "ShareLink",
+    entityId: link._id,
+    after: { requestId: request._id, label, expiresAt: link.expiresAt },
+  });
+  return { ...formatShareLink(link), token, url: trackingUrl(token) };
+};
+
+const listShareLinks = async (requestId) => {
+  const links = await ShareLink.find({ requestId, ...activeFilter() })
+    .sort({ createdAt: -1 })
+    .lean();
+  return links.map(formatShareLink);
+};
+
+// The link behind a token, null when it is unknown, revoked or expired
+const resolveShareLink = (token) =>
+  ShareLink.findOne({ tokenHash: hashToken(token), ...activeFilter() }).lean();
+
+// Stop a link working, including sockets already following with it
+const revokeShareLink = async (requestId, shareId, actor) => {
+  const link = await ShareLink.findOneAndUpdate(
+    { _id: shareId, requestId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "revoked" },
+    { new: true }
+  ).lean();
+  if (!link) throw notFound("Share link not found");
+  audit({
+    actor,
+    action: "share_link.revoked",
+    entityType: "ShareLink",
+    entityId: link._id,
+    after: { revokedAt: link.revokedAt },
+  });
+
+  await endTracking(requestId.toString(), { shareId: link._id.toString(), reason: "revoked" });
+  return link;
+};
+
+// Every link of a request stops working once it has ended
+const expireShareLinks = async (requestId, reason) => {
+  const { modifiedCount } = await ShareLink.updateMany(
+    { requestId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (modifiedCount) {
+    audit({
+      actor: SYSTEM_ACTOR,
+      action: "share_link.expired",
+      entityType: "EmergencyRequest",
+      entityId: requestId,
+      after: { links: modifiedCount },
+      reason,
+    });
+  }
+  await endTracking(requestId.toString(), { reason });
+};
+
+// What a share link shows: the request's progress and the ambulance, never
+// the patient's details or location
+const trackingSnapshot = async (requestId) => {
+  const request = await EmergencyRequest.findById(requestId)
+    .select(
+      "status ambulanceId location destinationHospitalId createdAt acceptedAt arrivedAt " +
+        "pickedUpAt completedAt cancelledAt"
+    )
+    .populate("destinationHospitalId", "name location")
+    .lean();
+  if (!request) return null;
+
+  const hospital = request.destinationHospitalId;
+  const vehicle = request.ambulanceId
+    ? await Ambulance.findOne({ vehicleId: request.ambulanceId })
+        .select("vehicleId vehicleType currentLocation")
+        .lean()
+    : null;
+  const position = vehicle ? fromPoint(vehicle.currentLocation) : null;
+
+  // Heading to the patient until they are on board, then to the hospital
+  let destination = null;
+  if (request.status === "accepted" || request.status === "arrived") {
+    destination = { target: "patient", to: fromPoint(request.location) };
+  } else if (request.status === "in_progress" && hospital) {
+    destination = { target: "hospital", to: fromPoint(hospital.location) };
+  }
+  const estimate =
+    position && destination ? await eta.estimate(position, destination.to) : null;
+
+  return {
+    requestId: request._id,
+    status: request.status,
+    createdAt: request.createdAt,
+    acceptedAt: request.acceptedAt,
+    arrivedAt: request.arrivedAt,
+    pickedUpAt: request.pickedUpAt,
+    completedAt: request.completedAt,
+    cancelledAt: request.cancelledAt,
+    ambulance: vehicle
+      ? { vehicleId: vehicle.vehicleId, vehicleType: vehicle.vehicleType, location: position }
+      : null,
+    hospital: hospital
+      ? { id: hospital._id, name: hospital.name, location: fromPoint(hospital.location) }
+      : null,
+    eta: estimate
+      ? {
+          target: destination.target,
+          etaMinutes: estimate.etaMinutes,
+          distanceKm: Number(estimate.distanceKm.toFixed(2)),
+          source: estimate.source,
+        }
+      : null,
+  };
+};
+
+module.exports = {
+  createShareLink,
+  listShareLinks,
+  resolveShareLink,
+  revokeShareLink,
+  expireShareLinks,
+  trackingSnapshot,
+  ENDED_STATUSES,
+};
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const Ambulance = require("../models/Ambulance");
+const Shift = require("../models/Shift");
+const User = require("../models/User");
+const { badRequest, notFound, conflict } = require("../utils/errors");
+
+// Longest shift an operator may schedule
+const MAX_SHIFT_HOURS = Number(process.env.MAX_SHIFT_HOURS) || 24;
+
+// Shift a driver is on at `at`, if any
+const currentShift = (driverId, at = new Date()) =>
+  Shift.findOne({
+    driverId,
+    cancelledAt: null,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  }).lean();
+
+// The ambulance a driver operates right now: the vehicle of their current
+// shift, otherwise the one they own. `ambulance` is null when they have neither.
+const currentAmbulanceFor = async (driverId, at = new Date()) => {
+  const shift = await currentShift(driverId, at);
+  const ambulance = shift
+    ? await Ambulance.findOne({ vehicleId: shift.vehicleId }).lean()
+    : await Ambulance.findOne({ userId: driverId }).lean();
+  return { ambulance, shift };
+};
+
+// Filter for shifts that are not cancelled and overlap [start, end)
+const overlapping = (start, end) => ({
+  cancelledAt: null,
+  startsAt: { $lt: end },
+  endsAt: { $gt: start },
+});
+
+// Put one of the organization's drivers on one of its vehicles. A vehicle
+// has one driver at a time and a driver one vehicle at a time.
+const scheduleShift = async (
+  organizationId,
+  { vehicleId, driverId, startsAt, endsAt },
+  createdBy
+) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw badRequest("startsAt and endsAt must be dates");
+  }
+  if (end <= start) throw badRequest("endsAt must be after startsAt", "invalid_shift");
+  if (end - start > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    throw badRequest(`Shifts cannot be longer than ${MAX_SHIFT_HOURS} hours`, "invalid_shift");
+  }
+  if (end <= new Date()) throw badRequest("The shift is already over", "invalid_shift");
+  if (!mongoose.isValidObjectId(driverId)) throw badRequest("Invalid driverId", "invalid_id");
+
+  const [ambulance, driver] = await Promise.all([
+    Ambulance.exists({ vehicleId, organizationId }),
+    User.exists({
+      _id: driverId,
+      organizationId,
+      userType: "ambulance",
+      active: { $ne: false },
+    }),
+  ]);
+  if (!ambulance) throw notFound("Vehicle not found in your fleet");
+  if (!driver) throw notFound("Driver not found in your organization");
+
+  if (await Shift.exists({ ...overlapping(start, end), vehicleId })) {
+    throw conflict("The vehicle already has a driver for part of this time", "vehicle_booked");
+  }
+  if (await Shift.exists({ ...overlapping(start, end), driverId })) {
+    throw conflict("The driver already has a shift during this time", "driver_booked");
+  }
+
+  return Shift.create({
+    organizationId,
+    vehicleId,
+    driverId,
+    startsAt: start,
+    endsAt: end,
+    createdBy,
+  });
+};
+
+// Cancelling a running shift takes effect when the driver next connects
+const cancelShift = async (organizationId, shiftId) => {
+  if (!mongoose.isValidObjectId(shiftId)) throw notFound("Shift not found");
+
+  const shift = await Shift.findOneAndUpdate(
+    { _id: shiftId, organizationId, cancelledAt: null },
+    { cancelledAt: new Date() },
+    { new: true }
+  ).lean();
+  if (!shift) throw notFound("Shift not found");
+  return shift;
+};
+
+module.exports = { currentShift, currentAmbulanceFor, scheduleShift, cancelShift };
@@ -0,0 +1,55 @@
+const createMemoryStore = require("./memoryStore");
+const createRedisStore = require("./redisStore");
+
+// Map-like (but async) view of one collection in a store
+const collection = (store, name) => ({
+  get: (key) => store.get(name, String(key)),
+  set: (key, value) => store.set(name, String(key), value),
+  setIfAbsent: (key, value) => store.setIfAbsent(name, String(key), value),
+  delete: (key) => store.delete(name, String(key)),
+  has: async (key) => (await store.get(name, String(key))) !== undefined,
+  entries: () => store.entries(name),
+  values: async () => (await store.entries(name)).map(([, value]) => value),
+});
+
+const createRedisClient = () => {
+  const { createClient } = require("redis");
+  const client = createClient({ url: process.env.REDIS_URL });
+  client.on("error", (error) => console.error("❌ Redis error:", error));
+  return client;
+};
+
+// Shared Redis store when REDIS_URL is set, otherwise in-memory (single instance)
+const createStateStore = () => {
+  if (!process.env.REDIS_URL) {
+    console.log("ℹ️ Using in-memory state store (set REDIS_URL to share state)");
+    return createMemoryStore();
+  }
+
+  const client = createRedisClient();
+  client.connect(); // Commands are queued until connected
+  return createRedisStore(client);
+};
+
+// Route room emits through Redis so they reach sockets on other instances
+const useSharedAdapter = (io) => {
+  if (!process.env.REDIS_URL) return;
+
+  const { createAdapter } = require("@socket.io/redis-adapter");
+  const pubClient = createRedisClient();
+  const subClient = pubClient.duplicate();
+  subClient.on("error", (error) => console.error("❌ Redis error:", error));
+
+  Promise.all([pubClient.connect(), subClient.connect()])
+    .then(() => console.log("🔗 Socket.IO Redis adapter connected"))
+    .catch((error) => console.error("❌ Redis adapter connection error:", error));
+  io.adapter(createAdapter(pubClient, subClient));
+};
+
+module.exports = {
+  createStateStore,
+  useSharedAdapter,
+  collection,
+  createMemoryStore,
+  createRedisStore,
+};
@@ -0,0 +1,32 @@
+// Values are copied through JSON so code behaves the same as with the
+// shared store, where nothing is kept by reference
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Single-process state store: one Map per collection
+const createMemoryStore = () => {
+  const collections = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    get: async (name, key) => copy(collection(name).get(key)),
+    set: async (name, key, value) => {
+      collection(name).set(key, copy(value));
+    },
+    setIfAbsent: async (name, key, value) => {
+      if (collection(name).has(key)) return false;
+      collection(name).set(key, copy(value));
+      return true;
+    },
+    delete: async (name, key) => {
+      collection(name).delete(key);
+    },
+    entries: async (name) =>
+      [...collection(name)].map(([key, value]) => [key, copy(value)]),
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,28 @@
+const KEY_PREFIX = process.env.STATE_KEY_PREFIX || "ambulance:";
+
+const parse = (value) => (value == null ? undefined : JSON.parse(value));
+
+// State store shared by every server instance: one Redis hash per collection.
+// Works with any client exposing the node-redis v4 hash commands.
+const createRedisStore = (client) => {
+  const hashKey = (name) => `${KEY_PREFIX}${name}`;
+
+  return {
+    get: async (name, key) => parse(await client.hGet(hashKey(name), key)),
+    set: async (name, key, value) => {
+      await client.hSet(hashKey(name), key, JSON.stringify(value));
+    },
+    setIfAbsent: async (name, key, value) =>
+      Boolean(await client.hSetNX(hashKey(name), key, JSON.stringify(value))),
+    delete: async (name, key) => {
+      await client.hDel(hashKey(name), key);
+    },
+    entries: async (name) =>
+      Object.entries(await client.hGetAll(hashKey(name))).map(([key, value]) => [
+        key,
+        parse(value),
+      ]),
+  };
+};
+
+module.exports = createRedisStore;
@@ -0,0 +1,119 @@
+const { fromPoint } = require("../utils/geo");
+
+// Structured intake questionnaire submitted with an emergency request and the
+// scoring that turns it into a critical level and the vehicle to send.
+// Callers in distress often underrate the emergency, so when the core
+// questions are answered the recommendation can raise the level they picked,
+// never lower it.
+
+// The answers and their allowed values are defined on the EmergencyRequest model
+
+// Points for each chief complaint category
+const COMPLAINT_POINTS = {
+  cardiac: 4,
+  stroke: 4,
+  respiratory: 3,
+  trauma: 3,
+  allergic: 3,
+  seizure: 3,
+  obstetric: 3,
+  poisoning: 3,
+  burns: 2,
+  abdominal: 1,
+  other: 0,
+};
+
+// Complaints the crew needs advanced equipment for, whatever the score
+const ADVANCED_COMPLAINTS = ["cardiac", "stroke", "respiratory"];
+
+const AGE_POINTS = { infant: 2, child: 1, adult: 0, elderly: 1 };
+// Each known condition adds a point, up to this many
+const MAX_CONDITION_POINTS = 2;
+
+// Without these answers a low score says nothing about the patient
+const CORE_ANSWERS = ["conscious", "breathing", "bleeding"];
+
+// Lowest score for each level, highest first
+const LEVEL_THRESHOLDS = [
+  ["critical", 8],
+  ["high", 5],
+  ["medium", 2],
+  ["low", 0],
+];
+
+// Vehicle type best suited for each critical level
+const PREFERRED_VEHICLE = {
+  low: "basic",
+  medium: "basic",
+  high: "advanced",
+  critical: "critical",
+};
+const VEHICLE_RANK = { basic: 0, advanced: 1, critical: 2 };
+const LEVEL_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+const isScorable = (triage) => CORE_ANSWERS.every((answer) => triage[answer] !== undefined);
+
+// Score the answers, or null when a core answer is missing. Unconsciousness
+// or absent breathing make a request critical regardless of the score; they
+// are listed in `redFlags`. `criticalLevel` is the higher of the
+// recommendation and `reportedLevel`, the level the caller picked.
+const assessTriage = (triage, reportedLevel = "low") => {
+  if (!isScorable(triage)) return null;
+
+  const redFlags = [];
+  if (triage.conscious === false) redFlags.push("unconscious");
+  if (triage.breathing === "none") redFlags.push("not_breathing");
+  if (triage.bleeding === "severe") redFlags.push("severe_bleeding");
+
+  let score = COMPLAINT_POINTS[triage.complaint] || 0;
+  if (triage.conscious === false) score += 6;
+  if (triage.breathing === "difficult") score += 3;
+  if (triage.breathing === "none") score += 8;
+  if (triage.bleeding === "minor") score += 1;
+  if (triage.bleeding === "severe") score += 4;
+  score += AGE_POINTS[triage.ageRange] || 0;
+  score += Math.min(triage.conditions?.length || 0, MAX_CONDITION_POINTS);
+
+  const [level] = LEVEL_THRESHOLDS.find(([, minimum]) => score >= minimum);
+  const recommendedLevel =
+    redFlags.includes("unconscious") || redFlags.includes("not_breathing") ? "critical" : level;
+  const criticalLevel =
+    (LEVEL_RANK[reportedLevel] ?? 0) > LEVEL_RANK[recommendedLevel]
+      ? reportedLevel
+      : recommendedLevel;
+
+  let vehicleType = PREFERRED_VEHICLE[criticalLevel];
+  if (
+    ADVANCED_COMPLAINTS.includes(triage.complaint) &&
+    VEHICLE_RANK[vehicleType] < VEHICLE_RANK.advanced
+  ) {
+    vehicleType = "advanced";
+  }
+
+  return { score, recommendedLevel, criticalLevel, vehicleType, redFlags };
+};
+
+// Vehicle type to send: the triage recommendation, or the one suited to
+// the request's critical level
+const requiredVehicleType = (request) =>
+  request.requiredVehicleType || PREFERRED_VEHICLE[request.criticalLevel] || "basic";
+
+// What the crew and the receiving hospital are told about the patient, and
+// for planned transports where they are going
+const patientDetails = (request) => ({
+  emergencyDetails: request.emergencyDetails,
+  patientCount: request.patientCount,
+  criticalLevel: request.criticalLevel,
+  requiredVehicleType: requiredVehicleType(request),
+  triage: request.triage || null,
+  bookingId: request.bookingId || null,
+  dropoff: fromPoint(request.dropoff),
+});
+
+module.exports = {
+  assessTriage,
+  requiredVehicleType,
+  patientDetails,
+  PREFERRED_VEHICLE,
+  VEHICLE_RANK,
+};
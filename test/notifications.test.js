@@ -0,0 +1,319 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Every channel writes to a file the tests read back, and retries back off
+// from one second
+const outbox = path.join(os.tmpdir(), `notifications-${process.pid}.log`);
+process.env.NOTIFIER = "file";
+process.env.NOTIFIER_FILE = outbox;
+process.env.NOTIFICATION_RETRY_BASE_MS = "1000";
+process.env.NOTIFICATION_MAX_ATTEMPTS = "3";
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const { channels, render, createNotifier } = require("../services/notifier");
+const {
+  notifyUser,
+  notifyRequester,
+  createDeliveryRetrier,
+} = require("../services/notifications");
+
+// No database here: anything not stubbed below fails instead of waiting
+mongoose.set("bufferCommands", false);
+
+const sent = () =>
+  fs.existsSync(outbox)
+    ? fs.readFileSync(outbox, "utf8").trim().split("\n").filter(Boolean).map(JSON.parse)
+    : [];
+
+// Mongoose query stand-in for findById(...).select(...).lean()
+const query = (value) => ({ select: () => query(value), lean: async () => value });
+
+let updates;
+
+beforeEach(() => {
+  fs.rmSync(outbox, { force: true });
+  updates = [];
+  // Failed sends are logged; the tests check what was recorded instead
+  mock.method(console, "error", () => {});
+  mock.method(NotificationDelivery, "insertMany", async (docs) =>
+    docs.map((doc) => ({ _id: new mongoose.Types.ObjectId(), attempts: 0, ...doc }))
+  );
+  mock.method(NotificationDelivery, "updateOne", async (filter, update) => {
+    updates.push({ filter, update });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(outbox, { force: true });
+});
+
+describe("templates", () => {
+  it("renders the subject and text of a message", () => {
+    assert.deepEqual(render("request_accepted", { vehicleId: "AMB-1", etaMinutes: 7 }), {
+      subject: "An ambulance is on its way",
+      text: "Ambulance AMB-1 accepted your emergency request, about 7 min away.",
+    });
+  });
+
+  it("leaves optional details out", () => {
+    assert.equal(
+      render("request_cancelled", {}).text,
+      "Your emergency request was cancelled."
+    );
+  });
+
+  it("rejects unknown templates", () => {
+    assert.throws(() => render("no_such_template"), /Unknown notification template/);
+  });
+});
+
+describe("channels", () => {
+  it("uses the transport named for one channel over the default", async () => {
+    process.env.NOTIFIER_SMS = "console";
+    const log = mock.method(console, "log", () => {});
+    try {
+      await createNotifier("sms").send({ to: "+911234567", subject: "s", text: "hello" });
+      await createNotifier("email").send({ to: "a@example.com", subject: "s", text: "hi" });
+    } finally {
+      delete process.env.NOTIFIER_SMS;
+    }
+
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[0], /sms to \+911234567/);
+    assert.deepEqual(
+      sent().map(({ channel, to }) => ({ channel, to })),
+      [{ channel: "email", to: "a@example.com" }]
+    );
+  });
+});
+
+describe("notifyUser", () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: "driver@example.com",
+    number: "+911234567",
+    deviceTokens: ["token-1", "token-2"],
+  };
+
+  it("sends to every address of the requested channels", async () => {
+    await notifyUser(user, "ambulance_approved", { vehicleId: "AMB-1" }, {
+      channels: ["email", "push"],
+    });
+
+    assert.deepEqual(
+      sent().map(({ channel, to }) => [channel, to]),
+      [
+        ["email", "driver@example.com"],
+        ["push", "token-1"],
+        ["push", "token-2"],
+      ]
+    );
+    assert.equal(sent()[0].text, "AMB-1 is verified. You can now go on duty.");
+    assert.equal(sent()[0].data.template, "ambulance_approved");
+    assert.ok(updates.every(({ update }) => update.status === "sent"));
+  });
+
+  it("loads the user when given an id", async () => {
+    const findById = mock.method(User, "findById", () => query(user));
+
+    await notifyUser(user._id, "ambulance_approved", { vehicleId: "AMB-1" }, {
+      channels: ["email"],
+    });
+
+    assert.equal(findById.mock.calls[0].arguments[0], user._id);
+    assert.deepEqual(sent().map(({ to }) => to), ["driver@example.com"]);
+  });
+
+  it("skips channels the user has no address for", async () => {
+    mock.method(User, "findById", () => query({ _id: user._id, deviceTokens: [] }));
+
+    const deliveries = await notifyUser(user._id.toString(), "ambulance_approved", {}, {
+      channels: ["email", "sms", "push"],
+    });
+
+    assert.deepEqual(deliveries, []);
+    assert.equal(NotificationDelivery.insertMany.mock.callCount(), 0);
+    assert.deepEqual(sent(), []);
+  });
+});
+
+describe("notifyRequester", () => {
+  const requester = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Asha",
+    number: "+919999999",
+    deviceTokens: [],
+    emergencyContacts: [],
+    ...fields,
+  });
+  const request = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    requesterId: new mongoose.Types.ObjectId(),
+    ambulanceId: "AMB-1",
+    status: "arrived",
+    ...fields,
+  });
+
+  it("pushes to registered devices", async () => {
+    mock.method(User, "findById", () => query(requester({ deviceTokens: ["token-1"] })));
+
+    await notifyRequester(request());
+
+    assert.deepEqual(
+      sent().map(({ channel, to, text }) => [channel, to, text]),
+      [["push", "token-1", "Ambulance AMB-1 has arrived at your location."]]
+    );
+  });
+
+  it("falls back to SMS without a registered device", async () => {
+    mock.method(User, "findById", () => query(requester()));
+
+    await notifyRequester(request({ status: "completed" }));
+
+    assert.deepEqual(
+      sent().map(({ channel, to }) => [channel, to]),
+      [["sms", "+919999999"]]
+    );
+  });
+
+  it("uses the transport wording for booked trips and does not alert contacts", async () => {
+    mock.method(User, "findById", () =>
+      query(requester({ emergencyContacts: [{ name: "Ravi", phone: "+918888888" }] }))
+    );
+
+    await notifyRequester(request({ bookingId: new mongoose.Types.ObjectId() }), {
+      template: "request_accepted",
+      etaMinutes: 12,
+    });
+
+    assert.deepEqual(
+      sent().map(({ to, data, text }) => [to, data.template, text]),
+      [
+        [
+          "+919999999",
+          "booking_accepted",
+          "Ambulance AMB-1 is on its way for your booked transport, about 12 min away.",
+        ],
+      ]
+    );
+  });
+});
+
+describe("createDeliveryRetrier", () => {
+  const failOnce = (channel) => {
+    const send = channels[channel].send;
+    let calls = 0;
+    mock.method(channels[channel], "send", async (message) => {
+      calls += 1;
+      if (calls === 1) throw new Error("gateway down");
+      return send(message);
+    });
+  };
+
+  it("keeps a failed delivery pending with a delay that doubles per attempt", async () => {
+    mock.method(channels.sms, "send", async () => {
+      throw new Error("gateway down");
+    });
+    const user = { _id: new mongoose.Types.ObjectId(), number: "+911234567" };
+
+    const before = Date.now();
+    await notifyUser(user, "ambulance_approved", { vehicleId: "AMB-1" }, { channels: ["sms"] });
+
+    const [{ update }] = updates;
+    assert.equal(update.status, "pending");
+    assert.equal(update.attempts, 1);
+    assert.equal(update.lastError, "gateway down");
+    assert.ok(update.nextAttemptAt - before >= 1000 && update.nextAttemptAt - before < 2000);
+
+    // The retrier claims it when it is due; the second failure waits twice as long
+    const delivery = (await NotificationDelivery.insertMany.mock.calls[0].result)[0];
+    let claimed = false;
+    mock.method(NotificationDelivery, "findOneAndUpdate", () => ({
+      lean: async () => {
+        if (claimed) return null;
+        claimed = true;
+        return { ...delivery, attempts: 1 };
+      },
+    }));
+    const retryAt = Date.now();
+    await createDeliveryRetrier().retry();
+
+    const retried = updates[1].update;
+    assert.equal(retried.status, "pending");
+    assert.equal(retried.attempts, 2);
+    assert.ok(retried.nextAttemptAt - retryAt >= 2000 && retried.nextAttemptAt - retryAt < 3000);
+    assert.deepEqual(sent(), []);
+  });
+
+  it("sends a due delivery on retry and records it as sent", async () => {
+    failOnce("email");
+    const user = { _id: new mongoose.Types.ObjectId(), email: "driver@example.com" };
+    await notifyUser(user, "ambulance_rejected", { vehicleId: "AMB-1", reason: "Blurry photo" }, {
+      channels: ["email"],
+    });
+    assert.deepEqual(sent(), []);
+
+    const delivery = (await NotificationDelivery.insertMany.mock.calls[0].result)[0];
+    let claimed = false;
+    const claim = mock.method(NotificationDelivery, "findOneAndUpdate", () => ({
+      lean: async () => {
+        if (claimed) return null;
+        claimed = true;
+        return { ...delivery, attempts: 1 };
+      },
+    }));
+    await createDeliveryRetrier().retry();
+
+    // Only deliveries that are pending and due are claimed
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, "pending");
+    assert.ok(filter.nextAttemptAt.$lte instanceof Date);
+
+    assert.equal(updates[1].update.status, "sent");
+    assert.equal(updates[1].update.attempts, 2);
+    assert.deepEqual(
+      sent().map(({ channel, to, text }) => [channel, to, text]),
+      [
+        [
+          "email",
+          "driver@example.com",
+          "AMB-1 was not approved: Blurry photo\n" +
+            "You can correct your details and submit them again.",
+        ],
+      ]
+    );
+  });
+
+  it("gives up after the last attempt", async () => {
+    mock.method(channels.push, "send", async () => {
+      throw new Error("invalid token");
+    });
+    const delivery = {
+      _id: new mongoose.Types.ObjectId(),
+      channel: "push",
+      to: "token-1",
+      text: "hello",
+      template: "ambulance_approved",
+      attempts: 2,
+    };
+    let claimed = false;
+    mock.method(NotificationDelivery, "findOneAndUpdate", () => ({
+      lean: async () => (claimed ? null : ((claimed = true), delivery)),
+    }));
+
+    await createDeliveryRetrier().retry();
+
+    assert.deepEqual(updates[0].update, {
+      status: "failed",
+      attempts: 3,
+      lastError: "invalid token",
+      nextAttemptAt: null,
+    });
+  });
+});
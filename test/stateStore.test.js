@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Keys of a real Redis (REDIS_URL) are kept apart from a running server's
+process.env.STATE_KEY_PREFIX = `test-${process.pid}:`;
+
+const { createMemoryStore, createRedisStore, collection } = require("../services/stateStore");
+
+// Local stand-in for Redis: the node-redis v4 hash commands the store uses
+const createFakeRedisClient = () => {
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    hGet: async (key, field) => hash(key).get(field) ?? null,
+    hSet: async (key, field, value) => {
+      const added = hash(key).has(field) ? 0 : 1;
+      hash(key).set(field, String(value));
+      return added;
+    },
+    hSetNX: async (key, field, value) => {
+      if (hash(key).has(field)) return false;
+      hash(key).set(field, String(value));
+      return true;
+    },
+    hDel: async (key, field) => Number(hash(key).delete(field)),
+    hGetAll: async (key) => Object.fromEntries(hash(key)),
+  };
+};
+
+const backends = [
+  ["memory store", async () => ({ store: createMemoryStore(), close: async () => {} })],
+  [
+    "redis store (local stand-in)",
+    async () => ({ store: createRedisStore(createFakeRedisClient()), close: async () => {} }),
+  ],
+];
+
+if (process.env.REDIS_URL) {
+  backends.push([
+    "redis store (REDIS_URL)",
+    async () => {
+      const { createClient } = require("redis");
+      const client = createClient({ url: process.env.REDIS_URL });
+      await client.connect();
+      return {
+        store: createRedisStore(client),
+        close: async () => {
+          const keys = await client.keys(`${process.env.STATE_KEY_PREFIX}*`);
+          if (keys.length) await client.del(keys);
+          await client.quit();
+        },
+      };
+    },
+  ]);
+}
+
+// Every store has to behave the same, code using them cannot tell which it has
+for (const [name, open] of backends) {
+  describe(name, () => {
+    let backend;
+    let drivers;
+    let trips;
+
+    before(async () => {
+      backend = await open();
+      drivers = collection(backend.store, "drivers");
+      trips = collection(backend.store, "trips");
+    });
+
+    after(() => backend.close());
+
+    it("returns undefined for a missing key", async () => {
+      assert.equal(await drivers.get("missing"), undefined);
+      assert.equal(await drivers.has("missing"), false);
+    });
+
+    it("stores and replaces values", async () => {
+      await drivers.set("AMB-1", { vehicleId: "AMB-1", socketId: "a" });
+      assert.deepEqual(await drivers.get("AMB-1"), { vehicleId: "AMB-1", socketId: "a" });
+
+      await drivers.set("AMB-1", { vehicleId: "AMB-1", socketId: "b" });
+      assert.deepEqual(await drivers.get("AMB-1"), { vehicleId: "AMB-1", socketId: "b" });
+      assert.equal(await drivers.has("AMB-1"), true);
+    });
+
+    it("keeps null values, which mark a known key without a value", async () => {
+      await drivers.set("AMB-null", null);
+      assert.equal(await drivers.get("AMB-null"), null);
+      assert.equal(await drivers.has("AMB-null"), true);
+    });
+
+    it("sets a value only if absent and reports whether it did", async () => {
+      assert.equal(await drivers.setIfAbsent("AMB-2", { socketId: "first" }), true);
+      assert.equal(await drivers.setIfAbsent("AMB-2", { socketId: "second" }), false);
+      assert.deepEqual(await drivers.get("AMB-2"), { socketId: "first" });
+    });
+
+    it("deletes values, also ones that do not exist", async () => {
+      await drivers.set("AMB-3", { socketId: "c" });
+      await drivers.delete("AMB-3");
+      await drivers.delete("AMB-3");
+      assert.equal(await drivers.get("AMB-3"), undefined);
+    });
+
+    it("copies values instead of keeping references", async () => {
+      const value = { at: new Date(0), nested: { count: 1 } };
+      await drivers.set("AMB-4", value);
+      value.nested.count = 2;
+
+      const stored = await drivers.get("AMB-4");
+      assert.deepEqual(stored, { at: "1970-01-01T00:00:00.000Z", nested: { count: 1 } });
+      stored.nested.count = 3;
+      assert.equal((await drivers.get("AMB-4")).nested.count, 1);
+    });
+
+    it("uses string keys, so ids and their strings are the same key", async () => {
+      const id = { toString: () => "507f1f77bcf86cd799439011" };
+      await trips.set(id, { requestId: "r1" });
+      assert.deepEqual(await trips.get("507f1f77bcf86cd799439011"), { requestId: "r1" });
+    });
+
+    it("keeps collections apart", async () => {
+      await drivers.set("shared", "driver");
+      await trips.set("shared", "trip");
+      assert.equal(await drivers.get("shared"), "driver");
+      assert.equal(await trips.get("shared"), "trip");
+
+      await trips.delete("shared");
+      assert.equal(await drivers.get("shared"), "driver");
+    });
+
+    it("lists the entries and values of one collection", async () => {
+      const other = collection(backend.store, "listed");
+      await other.set("a", { n: 1 });
+      await other.set("b", { n: 2 });
+
+      const entries = (await other.entries()).sort(([a], [b]) => a.localeCompare(b));
+      assert.deepEqual(entries, [
+        ["a", { n: 1 }],
+        ["b", { n: 2 }],
+      ]);
+      const values = (await other.values()).map(({ n }) => n).sort();
+      assert.deepEqual(values, [1, 2]);
+    });
+  });
+}
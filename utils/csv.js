@@ -0,0 +1,30 @@
+// { a: { b: 1 } } -> { "a.b": 1 }
+const flatten = (row, prefix = "") =>
+  Object.entries(row).reduce((flat, [key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      Object.assign(flat, flatten(value, column));
+    } else {
+      flat[column] = value;
+    }
+    return flat;
+  }, {});
+
+const escapeCell = (value) => {
+  if (value == null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn a list of (possibly nested) objects into CSV, one column per leaf field
+const toCsv = (rows) => {
+  const flatRows = rows.map((row) => flatten(row));
+  const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+
+  return [
+    columns.join(","),
+    ...flatRows.map((row) => columns.map((column) => escapeCell(row[column])).join(",")),
+  ].join("\n");
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,74 @@
+// Errors with a stable `code` clients can branch on and the HTTP status to
+// answer with. Anything else that is thrown is reported as internal_error.
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+const badRequest = (message, code = "bad_request", details) =>
+  new AppError(400, code, message, details);
+
+// `details` lists every problem as { field, message }
+const validationFailed = (details) =>
+  new AppError(
+    400,
+    "validation_failed",
+    `Invalid input: ${details.map(({ field, message }) => `${field || "payload"} ${message}`).join(", ")}`,
+    details
+  );
+
+const unauthorized = (message = "Unauthorized", code = "unauthorized") =>
+  new AppError(401, code, message);
+
+const forbidden = (message = "Forbidden", code = "forbidden") => new AppError(403, code, message);
+
+const notFound = (message = "Not found", code = "not_found") => new AppError(404, code, message);
+
+const conflict = (message, code = "conflict") => new AppError(409, code, message);
+
+const tooManyRequests = (message, retryAfterSeconds, code = "rate_limited") =>
+  Object.assign(new AppError(429, code, message), { retryAfterSeconds });
+
+// Translate errors raised by libraries into AppErrors
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error.type === "entity.parse.failed") {
+    return badRequest("Request body is not valid JSON", "invalid_json");
+  }
+  if (error.name === "CastError") {
+    return badRequest(`Invalid ${error.path}`, "invalid_id");
+  }
+  if (error.name === "ValidationError") {
+    return validationFailed(
+      Object.values(error.errors).map((item) => ({ field: item.path, message: item.message }))
+    );
+  }
+  if (error.code === 11000) return conflict("Already exists", "duplicate");
+
+  return new AppError(500, "internal_error", "Internal server error");
+};
+
+// What clients see: `{ error }` over HTTP, `{ ok: false, error }` in socket acks
+const toErrorPayload = (error) => {
+  const { code, message, details } = toAppError(error);
+  return details ? { code, message, details } : { code, message };
+};
+
+module.exports = {
+  AppError,
+  badRequest,
+  validationFailed,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  tooManyRequests,
+  toAppError,
+  toErrorPayload,
+};
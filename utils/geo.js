@@ -0,0 +1,38 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two coordinates in kilometers (haversine)
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Rough urban driving speed used for ETAs
+const AVERAGE_SPEED_KMH = Number(process.env.AVERAGE_SPEED_KMH) || 40;
+
+const etaMinutes = (km, speedKmh = AVERAGE_SPEED_KMH) =>
+  Math.max(1, Math.round((km / speedKmh) * 60));
+
+// GeoJSON stores coordinates as [longitude, latitude]
+const toPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [Number(longitude), Number(latitude)],
+});
+
+// Convert a stored GeoJSON point (plain object) back to the
+// { latitude, longitude } shape the apps use, keeping extra fields
+// such as `address` or `lastUpdated`.
+const fromPoint = (point) => {
+  if (!point?.coordinates?.length) return null;
+
+  const { type, coordinates, ...rest } = point;
+  return { latitude: coordinates[1], longitude: coordinates[0], ...rest };
+};
+
+module.exports = { distanceKm, etaMinutes, toPoint, fromPoint };
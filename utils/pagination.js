@@ -0,0 +1,18 @@
+const MAX_PAGE_SIZE = 100;
+
+// Read ?page=&limit= from a query string, 1-based pages
+const parsePagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+module.exports = { parsePagination, paginationInfo };
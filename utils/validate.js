@@ -0,0 +1,134 @@
+const { validationFailed } = require("./errors");
+
+// Schemas are plain objects describing each field:
+//   { type, required, default, enum, min, max, minLength, maxLength,
+//     pattern, properties (objects), items / minItems / maxItems (arrays),
+//     check(value) -> error message, for rules across fields }
+// Types: string, number, integer, boolean, date, objectId, object, array,
+// list (an array that may also be given as "a,b,c") and any.
+// Numbers, booleans and dates are also accepted as strings, as query
+// parameters always are.
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+const defaultValue = (spec) =>
+  typeof spec.default === "function" ? spec.default() : spec.default;
+
+// Validated (and converted) value of one field. Problems are pushed to `errors`.
+const checkField = (spec, input, field, errors) => {
+  const errorCount = errors.length;
+  if (isEmpty(input)) {
+    if (spec.required) errors.push({ field, message: "is required" });
+    return defaultValue(spec);
+  }
+
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  let value = input;
+  switch (spec.type) {
+    case "string":
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") return fail("must be a string");
+      value = value.trim();
+      if (spec.minLength && value.length < spec.minLength) {
+        return fail(`must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return fail(`must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) return fail("has an invalid format");
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() !== "") value = Number(value);
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number");
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return fail("must be a whole number");
+      }
+      if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) return fail(`must be at most ${spec.max}`);
+      break;
+
+    case "boolean":
+      if (value === "true") value = true;
+      if (value === "false") value = false;
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+
+    case "date":
+      if (typeof value !== "string" && typeof value !== "number") return fail("must be a date");
+      value = new Date(value);
+      if (Number.isNaN(value.getTime())) return fail("must be a date");
+      break;
+
+    case "objectId":
+      if (typeof value !== "string" || !OBJECT_ID.test(value)) return fail("must be a valid id");
+      break;
+
+    case "list":
+    case "array":
+      if (spec.type === "list" && typeof value === "string") {
+        value = value.split(",").map((item) => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (spec.minItems && value.length < spec.minItems) {
+        return fail(`must have at least ${spec.minItems} items`);
+      }
+      if (spec.maxItems && value.length > spec.maxItems) {
+        return fail(`must have at most ${spec.maxItems} items`);
+      }
+      if (spec.items) {
+        value = value.map((item, index) =>
+          checkField(spec.items, item, `${field}[${index}]`, errors)
+        );
+      }
+      break;
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      value = checkObject(spec, value, field, errors);
+      break;
+
+    default:
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return fail(`must be one of ${spec.enum.join(", ")}`);
+  }
+  if (spec.check && errors.length === errorCount) {
+    const message = spec.check(value);
+    if (message) return fail(message);
+  }
+  return value;
+};
+
+// Only the declared properties are kept, anything else is dropped
+const checkObject = (spec, input, path, errors) => {
+  const value = {};
+  for (const [key, fieldSpec] of Object.entries(spec.properties || {})) {
+    const result = checkField(fieldSpec, input[key], path ? `${path}.${key}` : key, errors);
+    if (result !== undefined) value[key] = result;
+  }
+  return value;
+};
+
+const object = (properties, options = {}) => ({ type: "object", properties, ...options });
+
+// Validate a request body, query or socket payload against an object schema.
+// Returns the cleaned value or throws a validation_failed AppError listing
+// every problem.
+const validate = (schema, input) => {
+  const errors = [];
+  const value = checkField(schema, isEmpty(input) ? {} : input, null, errors);
+  if (errors.length) throw validationFailed(errors);
+  return value;
+};
+
+module.exports = { validate, object };